@@ -0,0 +1,81 @@
+// admin/analytics.js
+// Summary of the local analytics event log, with CSV/JSON export.
+import { DOMUtils } from '../main.js';
+import { createAnalytics, summarizeEvents, eventsToCsv } from '../analytics.js';
+
+const overview = document.getElementById('overview');
+const gameRows = document.getElementById('gameRows');
+const cardRows = document.getElementById('cardRows');
+
+const analytics = await createAnalytics();
+
+function render() {
+  const summary = summarizeEvents(analytics.getEvents());
+
+  overview.innerHTML = '';
+  [
+    ['Events', summary.total],
+    ['Sessions', summary.sessions],
+    ['Games started', summary.byType.session_start || 0],
+    ['Games completed', summary.byType.game_completed || 0],
+    ['Cards flipped', summary.byType.card_flipped || 0],
+    ['Hints used', summary.byType.hint_used || 0],
+    ['Errors', summary.byType.error || 0],
+    ['Waiting to send', analytics.getQueue().length]
+  ].forEach(([label, value]) => {
+    overview.append(
+      DOMUtils.createElement('dt', {}, label),
+      DOMUtils.createElement('dd', {}, String(value))
+    );
+  });
+
+  fillRows(gameRows, Object.entries(summary.byGame).map(([game, stats]) => [
+    game, stats.sessions, stats.completions, stats.hints, stats.errors
+  ]), 5);
+  fillRows(cardRows, summary.cards.map(card => [card.game, card.cardId, card.message, card.flips]), 4);
+}
+
+function fillRows(tbody, rows, columns) {
+  tbody.innerHTML = '';
+  if (rows.length === 0) {
+    tbody.appendChild(DOMUtils.createElement('tr', {}, [
+      DOMUtils.createElement('td', { colspan: String(columns), className: 'empty' }, 'No events yet')
+    ]));
+    return;
+  }
+  rows.forEach(row => {
+    tbody.appendChild(DOMUtils.createElement('tr', {}, row.map(cell => DOMUtils.createElement('td', {}, String(cell)))));
+  });
+}
+
+function download(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = DOMUtils.createElement('a', { href: url, download: filename });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const stamp = () => new Date().toISOString().slice(0, 10);
+
+document.getElementById('exportCsvBtn').addEventListener('click', () => {
+  download(eventsToCsv(analytics.getEvents()), 'text/csv', `3c-analytics-${stamp()}.csv`);
+});
+
+document.getElementById('exportJsonBtn').addEventListener('click', () => {
+  download(JSON.stringify(analytics.getEvents(), null, 2), 'application/json', `3c-analytics-${stamp()}.json`);
+});
+
+document.getElementById('refreshBtn').addEventListener('click', async () => {
+  await analytics.store.reload();
+  render();
+});
+
+document.getElementById('clearBtn').addEventListener('click', async () => {
+  if (!confirm('Delete every recorded event from this browser?')) return;
+  await analytics.clear();
+  render();
+});
+
+render();
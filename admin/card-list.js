@@ -0,0 +1,293 @@
+// admin/card-list.js
+// Per-card editor: message (one box per language), front image (upload or
+// pick) and extra fields, with drag-and-drop reordering, duplicate and delete.
+import { DOMUtils, AssetUtils } from '../main.js';
+import { createLocalizedInput, changeLocales } from './localized-input.js';
+
+const CORE_FIELDS = ['id', 'message', 'frontImage'];
+
+/**
+ * Create a card list editor
+ * @param {HTMLElement} root - Element to render the list into
+ * @param {Object} options
+ * @param {Function} [options.onChange] - Called after any edit
+ * @param {Function} [options.uploadAsset] - async (file) => url for uploaded images
+ * @returns {Object} { getCards, setCards, setLocales }
+ */
+export function createCardList(root, { onChange = () => {}, uploadAsset = null } = {}) {
+  let cards = [];
+  let locales = ['en'];
+  let dragIndex = null;
+
+  const list = DOMUtils.createElement('ol', { className: 'card-list' });
+  const addBtn = DOMUtils.createElement('button', { type: 'button', className: 'secondary' }, '+ Add card');
+  const imageOptions = DOMUtils.createElement('datalist', { id: 'cardImageOptions' });
+  root.append(list, addBtn, imageOptions);
+
+  addBtn.addEventListener('click', () => {
+    cards.push({ id: nextId(), message: '', frontImage: '' });
+    render();
+    changed();
+    list.lastElementChild.querySelector('textarea').focus();
+  });
+
+  function nextId() {
+    const numeric = cards.map(card => Number(card.id)).filter(Number.isFinite);
+    return numeric.length > 0 ? Math.max(...numeric) + 1 : 1;
+  }
+
+  function changed() {
+    refreshImageOptions();
+    onChange();
+  }
+
+  function refreshImageOptions() {
+    const images = [...new Set(cards.map(card => card.frontImage).filter(Boolean))]
+      .filter(src => !src.startsWith('data:'));
+    imageOptions.innerHTML = '';
+    images.forEach(src => imageOptions.appendChild(DOMUtils.createElement('option', { value: src })));
+  }
+
+  function move(from, to) {
+    if (to < 0 || to >= cards.length || from === to) return;
+    const [card] = cards.splice(from, 1);
+    cards.splice(to, 0, card);
+    render();
+    changed();
+  }
+
+  function render() {
+    list.innerHTML = '';
+    cards.forEach((card, index) => list.appendChild(renderCard(card, index)));
+  }
+
+  function renderCard(card, index) {
+    const item = DOMUtils.createElement('li', { className: 'card-item', draggable: 'true' });
+
+    // Drag-and-drop reordering
+    item.addEventListener('dragstart', (event) => {
+      dragIndex = index;
+      item.classList.add('dragging');
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', String(index));
+    });
+    item.addEventListener('dragend', () => {
+      dragIndex = null;
+      item.classList.remove('dragging');
+    });
+    item.addEventListener('dragover', (event) => {
+      if (dragIndex === null) return;
+      event.preventDefault();
+      item.classList.add('drop-target');
+    });
+    item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+    item.addEventListener('drop', (event) => {
+      event.preventDefault();
+      item.classList.remove('drop-target');
+      if (dragIndex !== null) move(dragIndex, index);
+    });
+
+    // Header: handle, number and row actions
+    const header = DOMUtils.createElement('div', { className: 'card-item-header' }, [
+      DOMUtils.createElement('span', { className: 'drag-handle', title: 'Drag to reorder', 'aria-hidden': 'true' }, '⋮⋮'),
+      DOMUtils.createElement('strong', {}, `Card ${index + 1}`),
+      DOMUtils.createElement('span', { className: 'card-id' }, `id ${card.id}`)
+    ]);
+    const actions = DOMUtils.createElement('span', { className: 'card-actions' });
+    actions.append(
+      actionButton('↑', `Move card ${index + 1} up`, () => move(index, index - 1)),
+      actionButton('↓', `Move card ${index + 1} down`, () => move(index, index + 1)),
+      actionButton('Duplicate', `Duplicate card ${index + 1}`, () => {
+        cards.splice(index + 1, 0, { ...clone(card), id: nextId() });
+        render();
+        changed();
+      }),
+      actionButton('Delete', `Delete card ${index + 1}`, () => {
+        cards.splice(index, 1);
+        render();
+        changed();
+      })
+    );
+    header.appendChild(actions);
+    item.appendChild(header);
+
+    // Message, side by side in every language
+    const messageBoxes = DOMUtils.createElement('div');
+    const message = createLocalizedInput(messageBoxes, {
+      multiline: true,
+      placeholder: 'Card message',
+      onChange: () => {
+        card.message = message.getValue();
+        changed();
+      }
+    });
+    message.setLocales(locales);
+    message.setValue(card.message);
+    item.appendChild(DOMUtils.createElement('div', {
+      className: 'card-field',
+      role: 'group',
+      'aria-label': `Card ${index + 1} message`
+    }, ['Message', messageBoxes]));
+
+    // Front image: type/pick a path, or upload a file
+    const preview = DOMUtils.createElement('img', { className: 'card-thumb', alt: '' });
+    const imageInput = DOMUtils.createElement('input', {
+      type: 'text',
+      list: 'cardImageOptions',
+      placeholder: 'card1.png or https://...'
+    });
+    const upload = DOMUtils.createElement('input', { type: 'file', accept: 'image/*' });
+    upload.disabled = !uploadAsset;
+
+    const showImageValue = (src) => {
+      // Uploaded data URLs are far too long to edit by hand
+      const uploaded = (src || '').startsWith('data:');
+      imageInput.value = uploaded ? '' : (src || '');
+      imageInput.placeholder = uploaded ? '(uploaded image)' : 'card1.png or https://...';
+    };
+    const setImage = (src) => {
+      card.frontImage = src;
+      showImageValue(src);
+      updatePreview(preview, src);
+      changed();
+    };
+    imageInput.addEventListener('change', () => setImage(imageInput.value.trim()));
+    upload.addEventListener('change', async () => {
+      const file = upload.files[0];
+      if (!file) return;
+      upload.disabled = true;
+      try {
+        setImage(await uploadAsset(file));
+      } catch (error) {
+        alert(`Image upload failed: ${error.message}`);
+      } finally {
+        upload.disabled = false;
+        upload.value = '';
+      }
+    });
+    showImageValue(card.frontImage);
+    updatePreview(preview, card.frontImage);
+
+    const imageRow = DOMUtils.createElement('div', { className: 'image-row' }, [preview, imageInput, upload]);
+    item.appendChild(labelled('Front image', imageRow));
+
+    // Optional extra fields (anything besides id/message/frontImage)
+    item.appendChild(renderExtras(card));
+
+    return item;
+  }
+
+  function renderExtras(card) {
+    const wrapper = DOMUtils.createElement('details', { className: 'card-extras' });
+    const extraKeys = Object.keys(card).filter(key => !CORE_FIELDS.includes(key));
+    const summary = DOMUtils.createElement('summary', {}, `Extra fields (${extraKeys.length})`);
+    wrapper.appendChild(summary);
+    if (extraKeys.length > 0) wrapper.open = true;
+
+    const rows = DOMUtils.createElement('div', { className: 'extra-rows' });
+    wrapper.appendChild(rows);
+
+    const addRow = (key = '', value = '') => {
+      let currentKey = key;
+      const keyInput = DOMUtils.createElement('input', { type: 'text', placeholder: 'field' });
+      const valueInput = DOMUtils.createElement('input', { type: 'text', placeholder: 'value' });
+      keyInput.value = key;
+      valueInput.value = value === '' ? '' : formatExtra(value);
+
+      const sync = () => {
+        const newKey = keyInput.value.trim();
+        if (currentKey && currentKey !== newKey) delete card[currentKey];
+        currentKey = newKey;
+        if (newKey && !CORE_FIELDS.includes(newKey)) {
+          card[newKey] = parseExtra(valueInput.value);
+        }
+        changed();
+      };
+      keyInput.addEventListener('change', sync);
+      valueInput.addEventListener('change', sync);
+
+      const row = DOMUtils.createElement('div', { className: 'extra-row' }, [
+        keyInput,
+        valueInput,
+        actionButton('×', 'Remove field', () => {
+          if (currentKey) delete card[currentKey];
+          row.remove();
+          changed();
+        })
+      ]);
+      rows.appendChild(row);
+    };
+
+    extraKeys.forEach(key => addRow(key, card[key]));
+    const addField = actionButton('+ Field', 'Add extra field', () => {
+      wrapper.open = true;
+      addRow();
+    });
+    wrapper.appendChild(addField);
+    return wrapper;
+  }
+
+  return {
+    getCards() {
+      return cards.map(card => {
+        const result = clone(card);
+        if (!result.frontImage) delete result.frontImage;
+        return result;
+      });
+    },
+
+    setCards(newCards) {
+      cards = (newCards || []).map(card => clone(card));
+      render();
+      refreshImageOptions();
+    },
+
+    // Languages to show message boxes for; the first is the default
+    setLocales(newLocales) {
+      cards.forEach(card => {
+        card.message = changeLocales(card.message, locales, newLocales);
+      });
+      locales = [...newLocales];
+      render();
+    }
+  };
+}
+
+function actionButton(text, label, onClick) {
+  const button = DOMUtils.createElement('button', { type: 'button', className: 'link-btn', 'aria-label': label }, text);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function labelled(text, control) {
+  return DOMUtils.createElement('label', { className: 'card-field' }, [text, control]);
+}
+
+// The editor lives in /admin, so relative asset paths need one level up
+function updatePreview(img, src) {
+  const url = AssetUtils.resolve(src);
+  img.hidden = !url;
+  if (!url) return;
+  img.src = /^([a-z]+:|\/)/i.test(url) ? url : `../${url}`;
+}
+
+// Extra field values are edited as text; numbers, booleans and JSON survive the round trip
+function formatExtra(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function parseExtra(text) {
+  const trimmed = text.trim();
+  if (/^(-?\d+(\.\d+)?|true|false|null|[[{].*[\]}])$/s.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,69 @@
+// admin/config-io.js
+// Reading existing config files into the editor and diffing them on the way out.
+
+/**
+ * List the config files published in config/index.json
+ * (static hosting can't list a folder, so the index is maintained by hand)
+ * @returns {Promise<Array>} Entries: { file, title, gameType }
+ */
+export async function listConfigFiles() {
+  const response = await fetch('../config/index.json', { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Could not load config/index.json (HTTP ${response.status})`);
+  }
+  const index = await response.json();
+  return index.configs || [];
+}
+
+export async function fetchConfigFile(file) {
+  const response = await fetch(`../config/${file}`, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Could not load config/${file} (HTTP ${response.status})`);
+  }
+  return response.json();
+}
+
+export function readJsonFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        resolve(JSON.parse(reader.result));
+      } catch (error) {
+        reject(new Error(`${file.name} is not valid JSON: ${error.message}`));
+      }
+    };
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Structural diff of two JSON values
+ * @param {*} before - Original value
+ * @param {*} after - New value
+ * @param {string} path - Path prefix (default: $)
+ * @returns {Array} Changes: { path, type: 'added'|'removed'|'changed', before, after }
+ */
+export function diffJson(before, after, path = '$') {
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return keys.flatMap(key => {
+      const childPath = Array.isArray(before) ? `${path}[${key}]` : `${path}.${key}`;
+      if (!(key in after)) return [{ path: childPath, type: 'removed', before: before[key] }];
+      if (!(key in before)) return [{ path: childPath, type: 'added', after: after[key] }];
+      return diffJson(before[key], after[key], childPath);
+    });
+  }
+
+  return JSON.stringify(before) === JSON.stringify(after)
+    ? []
+    : [{ path, type: 'changed', before, after }];
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
@@ -1,53 +1,445 @@
 // admin/editor.js (module)
-import { formatSlug } from '../main.js';
+import { StringUtils, ValidationUtils } from '../main.js';
+import { createDataStore } from '../supabase.js';
+import { openPlayerStore } from '../storage.js';
+import { localizeConfig, findMissingTranslations, isLocaleMap, knownLocales, normalizeLocale, listLocales } from '../i18n.js';
+import { createCardList } from './card-list.js';
+import { createQuizBuilder } from './quiz-builder.js';
+import { createLocalizedInput } from './localized-input.js';
+import { listConfigFiles, fetchConfigFile, readJsonFile, diffJson } from './config-io.js';
+import { createSchemaForm } from './schema-form.js';
+
+const { formatSlug } = StringUtils;
 
-const titleInput = document.getElementById('gameTitle');
 const themeSelect = document.getElementById('themeSelect');
-const messagesInput = document.getElementById('cardMessages');
 const previewBtn = document.getElementById('previewBtn');
 const generateBtn = document.getElementById('generateConfig');
 const saveLocalBtn = document.getElementById('saveLocalBtn');
 const previewFrame = document.getElementById('previewFrame');
 const slugInput = document.getElementById('slugInput');
 const gameNumberInput = document.getElementById('gameNumber');
+const gameTypeSelect = document.getElementById('gameTypeSelect');
+const gameTypeDescription = document.getElementById('gameTypeDescription');
+const settingsGroup = document.getElementById('settingsGroup');
+const cardsSection = document.getElementById('cardsSection');
+const quizSection = document.getElementById('quizSection');
+const validationReport = document.getElementById('validationReport');
+const publishToggle = document.getElementById('publishToggle');
+const saveLibraryBtn = document.getElementById('saveLibraryBtn');
+const libraryStatus = document.getElementById('libraryStatus');
+const formSection = document.querySelector('.form-section');
+const configFileSelect = document.getElementById('configFileSelect');
+const loadConfigFileBtn = document.getElementById('loadConfigFileBtn');
+const importFile = document.getElementById('importFile');
+const importStatus = document.getElementById('importStatus');
+const diffDialog = document.getElementById('diffDialog');
+const localesInput = document.getElementById('localesInput');
+const previewLocale = document.getElementById('previewLocale');
+
+// The config currently open in the editor, if it came from a file: { name, config }.
+// Fields the editor has no controls for are carried over from it unchanged.
+let loaded = null;
+
+// Fields every config shares; the editor has dedicated controls for these
+const CORE_FIELDS = ['gameType', 'theme', 'title', 'cards', 'settings', 'locales', 'share'];
+
+// Fields the quiz builder edits, for game types that have one (see hasQuiz)
+const QUIZ_FIELDS = ['intro', 'profiles', 'questions'];
+
+// Languages the config is written in; the first is its default (see i18n.js)
+let locales = ['en'];
+
+// The selected game type: { type, schema, checkConfig, settingsForm, extraForm }
+let game = null;
+
+// Supabase when configured, otherwise a local IndexedDB library (see supabase.js)
+const dataStore = createDataStore();
+
+const titleField = createLocalizedInput(document.getElementById('gameTitle'), {
+  id: 'gameTitleInput',
+  placeholder: 'Pick Your 3C Card'
+});
+
+// The config's "share" block: what players' result cards are shared with (see share.js)
+const shareTitleField = createLocalizedInput(document.getElementById('shareTitle'), {
+  id: 'shareTitleInput',
+  placeholder: 'Game title'
+});
+const shareTextField = createLocalizedInput(document.getElementById('shareText'), {
+  id: 'shareTextInput',
+  multiline: true,
+  placeholder: '"{message}" — {game}'
+});
 
-// Simple game number generator (reads from localStorage so numbers persist locally)
+const cardList = createCardList(document.getElementById('cardList'), {
+  uploadAsset: async (file) => {
+    const slug = formatSlug(titleField.getText()) || 'untitled';
+    const { url } = await dataStore.uploadAsset(file, `cards/${slug}/${Date.now()}-${file.name}`);
+    return url;
+  }
+});
+
+const quizBuilder = createQuizBuilder(document.getElementById('quizBuilder'));
+
+// Editor preferences and counters, kept in this browser (see storage.js)
+const editorStore = await openPlayerStore('editor');
+
+// Simple game number generator (persisted so numbers keep counting up between sessions)
 function nextGameNumber() {
-  const key = '3c_next_game_number';
-  const n = parseInt(localStorage.getItem(key) || '0', 10) + 1;
-  localStorage.setItem(key, String(n));
+  const n = editorStore.get('lastGameNumber', legacyGameNumber()) + 1;
+  editorStore.set('lastGameNumber', n);
   return n;
 }
 
+// The counter used to live directly in localStorage
+function legacyGameNumber() {
+  try {
+    return parseInt(localStorage.getItem('3c_next_game_number') || '0', 10);
+  } catch (error) {
+    return 0;
+  }
+}
+
 function buildConfig() {
-  const title = titleInput.value.trim() || 'Pick Your 3C Card';
+  const title = titleField.getText().trim() || 'Pick Your 3C Card';
   const theme = themeSelect.value || 'theme1';
-  const messages = messagesInput.value.split('\n').map(s => s.trim()).filter(Boolean);
-  const cards = messages.map((m, i) => ({
-    id: i + 1,
-    frontImage: `card${i+1}.png`,
-    message: m
-  }));
+  const cards = cardList.getCards();
 
   const slug = formatSlug(title);
-  const gameNumber = `game-${String(nextGameNumber()).padStart(3, '0')}`;
+  const gameNumber = loaded
+    ? loaded.name.replace(/\.json$/, '')
+    : `game-${String(nextGameNumber()).padStart(3, '0')}`;
 
   // Update UI fields
   slugInput.value = slug;
   gameNumberInput.value = gameNumber;
 
+  // Start from the loaded file so unknown fields survive the round trip
+  const base = loaded ? clone(loaded.config) : {};
+  const sameType = base.gameType === game.type;
+  // Fields the forms own come only from the forms: one cleared back to its default is left out
+  const config = {
+    ...omit(base, game.extraForm.keys()),
+    gameType: game.type,
+    theme,
+    title: titleField.getText().trim() ? titleField.getValue() : title,
+    ...game.extraForm.getValue()
+  };
+  if (locales.length > 1) {
+    config.locales = [...locales];
+  } else {
+    delete config.locales;
+  }
+  const share = {
+    ...(shareTitleField.getText().trim() ? { title: shareTitleField.getValue() } : {}),
+    ...(shareTextField.getText().trim() ? { text: shareTextField.getValue() } : {})
+  };
+  if (Object.keys(share).length > 0) {
+    config.share = share;
+  } else {
+    delete config.share;
+  }
+  if (hasCards(game.schema)) {
+    config.cards = cards;
+  } else if (!sameType) {
+    delete config.cards;
+  }
+  if (hasQuiz(game.schema)) {
+    const { intro, ...quiz } = quizBuilder.getValue();
+    Object.assign(config, quiz);
+    if (intro) {
+      config.intro = intro;
+    } else {
+      delete config.intro;
+    }
+  } else if (!sameType) {
+    QUIZ_FIELDS.filter(key => !game.schema.properties[key]).forEach(key => delete config[key]);
+  }
+  if (!game.settingsForm.isEmpty()) {
+    const settings = { ...(sameType ? omit(base.settings, game.settingsForm.keys()) : {}), ...game.settingsForm.getValue() };
+    if (Object.keys(settings).length > 0) {
+      config.settings = settings;
+    } else {
+      delete config.settings;
+    }
+  }
+
   return {
     meta: {
       title, slug, gameNumber, theme
     },
-    config: {
-      gameType: 'card-flip',
-      theme,
-      title,
-      cards,
-      settings: { cardFlipSpeed: 500, displayMs: 2200, stayOpen: false, allowReplay: true }
+    config
+  };
+}
+
+async function loadGameTypes() {
+  const response = await fetch('../games/index.json', { cache: 'no-cache' });
+  const { games = [] } = response.ok ? await response.json() : { games: ['card-flip'] };
+
+  gameTypeSelect.innerHTML = '';
+  await Promise.all(games.map(async (type) => {
+    const option = new Option(type, type);
+    gameTypeSelect.appendChild(option);
+    try {
+      const module = await import(`../games/${type}.js`);
+      option.textContent = (module.meta && module.meta.label) || type;
+    } catch (error) {
+      option.disabled = true;
+      option.textContent = `${type} (failed to load)`;
+      console.warn(`Could not load game module '${type}':`, error);
+    }
+  }));
+}
+
+// Theme list comes from assets/themes/index.json, labelled from each theme.json
+async function loadThemes() {
+  const response = await fetch('../assets/themes/index.json', { cache: 'no-cache' });
+  const { themes = [] } = response.ok ? await response.json() : { themes: ['theme1'] };
+
+  themeSelect.innerHTML = '';
+  await Promise.all(themes.map(async (name) => {
+    const option = new Option(name, name);
+    themeSelect.appendChild(option);
+    try {
+      const manifest = await fetch(`../assets/themes/${name}/theme.json`, { cache: 'no-cache' });
+      if (manifest.ok) {
+        const { label } = await manifest.json();
+        option.textContent = label || name;
+      }
+    } catch (error) {
+      console.warn(`Could not load theme manifest '${name}':`, error);
     }
+  }));
+}
+
+// Build the settings and extra-field forms from the module's schema
+async function selectGameType(type) {
+  const module = await import(`../games/${type}.js`);
+  if (!module.schema) {
+    throw new Error(`Game module '${type}' does not export a schema`);
+  }
+  const { schema } = module;
+  gameTypeSelect.value = type;
+  gameTypeDescription.textContent = (module.meta && module.meta.description) || '';
+
+  const ownFields = hasQuiz(schema) ? [...CORE_FIELDS, ...QUIZ_FIELDS] : CORE_FIELDS;
+  const extraSchema = {
+    properties: Object.fromEntries(Object.entries(schema.properties || {})
+      .filter(([key, prop]) => !ownFields.includes(key) && ![].concat(prop.type).some(t => t === 'object' || t === 'array')))
+  };
+  const settingsSchema = (schema.properties && schema.properties.settings) || {};
+
+  game = {
+    type,
+    schema,
+    checkConfig: module.checkConfig || null,
+    extraForm: createSchemaForm(document.getElementById('extraFields'), extraSchema, { idPrefix: 'extra' }),
+    settingsForm: createSchemaForm(document.getElementById('settingsForm'), settingsSchema, { idPrefix: 'setting' })
   };
+  settingsGroup.hidden = game.settingsForm.isEmpty();
+  cardsSection.hidden = !hasCards(schema);
+  quizSection.hidden = !hasQuiz(schema);
+}
+
+function hasCards(schema) {
+  return Boolean(schema.properties && schema.properties.cards);
+}
+
+function hasQuiz(schema) {
+  return Boolean(schema.properties && schema.properties.questions && schema.properties.profiles);
+}
+
+async function applyConfig(config, name) {
+  await selectGameType(config.gameType || 'card-flip');
+  loaded = { name, config: clone(config) };
+
+  setLocales(configLocales(config));
+  titleField.setValue(config.title || '');
+  shareTitleField.setValue((config.share && config.share.title) || '');
+  shareTextField.setValue((config.share && config.share.text) || '');
+  if (config.theme && !Array.from(themeSelect.options).some(option => option.value === config.theme)) {
+    themeSelect.appendChild(new Option(config.theme, config.theme));
+  }
+  themeSelect.value = config.theme || 'theme1';
+
+  game.settingsForm.setValue(config.settings);
+  game.extraForm.setValue(config);
+  cardList.setCards(Array.isArray(config.cards) ? config.cards : []);
+  quizBuilder.setValue(config);
+  slugInput.value = formatSlug(titleField.getText());
+  gameNumberInput.value = name.replace(/\.json$/, '');
+  renderValidation(validate(config));
+  importStatus.textContent = `Opened ${name}`;
+}
+
+async function importFromFile(file) {
+  try {
+    await applyConfig(await readJsonFile(file), file.name);
+  } catch (error) {
+    importStatus.textContent = error.message;
+  }
+}
+
+async function populateConfigFiles() {
+  try {
+    const files = await listConfigFiles();
+    configFileSelect.innerHTML = '';
+    configFileSelect.appendChild(new Option('Choose a config...', ''));
+    // Playlists only list other configs; there are no cards to edit
+    files.filter(entry => entry.gameType !== 'playlist').forEach(entry => {
+      configFileSelect.appendChild(new Option(`${entry.title || entry.file} (${entry.file})`, entry.file));
+    });
+  } catch (error) {
+    configFileSelect.innerHTML = '';
+    configFileSelect.appendChild(new Option('No config index found', ''));
+    console.warn(error);
+  }
+}
+
+// Show what changed against the opened file and let the author confirm
+function confirmChanges(config) {
+  if (!loaded) return Promise.resolve(true);
+
+  const changes = diffJson(loaded.config, config);
+  document.getElementById('diffSource').textContent = loaded.name;
+  const list = document.getElementById('diffList');
+  list.innerHTML = '';
+  if (changes.length === 0) {
+    list.appendChild(Object.assign(document.createElement('li'), { textContent: 'No changes.' }));
+  }
+  changes.forEach(change => {
+    const item = document.createElement('li');
+    item.className = change.type;
+    const path = document.createElement('code');
+    path.textContent = change.path;
+    item.append(path, ` ${change.type}`);
+    if (change.type !== 'added') item.appendChild(diffValue('−', change.before));
+    if (change.type !== 'removed') item.appendChild(diffValue('+', change.after));
+    list.appendChild(item);
+  });
+
+  return new Promise(resolve => {
+    const finish = (ok) => {
+      diffDialog.close();
+      confirmBtn.removeEventListener('click', onConfirm);
+      cancelBtn.removeEventListener('click', onCancel);
+      diffDialog.removeEventListener('cancel', onCancel);
+      resolve(ok);
+    };
+    const confirmBtn = document.getElementById('diffConfirm');
+    const cancelBtn = document.getElementById('diffCancel');
+    const onConfirm = () => finish(true);
+    const onCancel = () => finish(false);
+    confirmBtn.addEventListener('click', onConfirm);
+    cancelBtn.addEventListener('click', onCancel);
+    diffDialog.addEventListener('cancel', onCancel);
+    diffDialog.showModal();
+  });
+}
+
+function diffValue(sign, value) {
+  const span = document.createElement('span');
+  span.className = 'diff-value';
+  span.textContent = `${sign} ${JSON.stringify(value)}`;
+  return span;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function omit(value, keys) {
+  return Object.fromEntries(Object.entries(value || {}).filter(([key]) => !keys.includes(key)));
+}
+
+// Same validator the loader runs, so a config that downloads is a config that loads.
+// Missing translations are warnings: players see the default language instead.
+function validate(config) {
+  const localized = localizeConfig(config, locales.slice(0, 1), [...locales, ...knownLocales(config)]);
+  const result = ValidationUtils.validateConfig(localized, game.schema);
+  if (result.valid && game.checkConfig) {
+    const checks = game.checkConfig(localized);
+    result.errors.push(...checks.errors);
+    result.warnings.push(...checks.warnings);
+    result.valid = result.errors.length === 0;
+  }
+  findMissingTranslations(config, locales).forEach(({ path, missing }) => {
+    result.warnings.push({ path, message: `Missing translation: ${missing.join(', ')}` });
+  });
+  return result;
+}
+
+function validateBeforeExport(config) {
+  const result = validate(config);
+  renderValidation(result);
+  return result.valid;
+}
+
+// Languages of an opened config: its "locales", else whatever its text maps use
+function configLocales(config) {
+  if (Array.isArray(config.locales) && config.locales.length > 0) {
+    return config.locales.map(normalizeLocale).filter(Boolean);
+  }
+  const found = new Set();
+  const list = (value) => (Array.isArray(value) ? value.filter(Boolean) : []);
+  const questions = list(config.questions);
+  [
+    config.title,
+    config.intro,
+    ...(config.share ? [config.share.title, config.share.text] : []),
+    ...list(config.cards).map(card => card.message),
+    ...list(config.profiles).flatMap(profile => [profile.title, profile.message]),
+    ...questions.map(question => question.text),
+    ...questions.flatMap(question => list(question.answers).map(answer => answer.text))
+  ]
+    .filter(isLocaleMap)
+    .forEach(map => Object.keys(map).forEach(locale => found.add(locale)));
+  return found.size > 0 ? [...found] : ['en'];
+}
+
+function setLocales(newLocales) {
+  locales = newLocales.length > 0 ? [...new Set(newLocales)] : ['en'];
+  localesInput.value = locales.join(', ');
+  titleField.setLocales(locales);
+  shareTitleField.setLocales(locales);
+  shareTextField.setLocales(locales);
+  cardList.setLocales(locales);
+  quizBuilder.setLocales(locales);
+  previewLocale.innerHTML = '';
+  locales.forEach(locale => previewLocale.appendChild(new Option(locale, locale)));
+}
+
+async function loadLocaleOptions() {
+  try {
+    const options = document.getElementById('localeOptions');
+    (await listLocales('../locales/')).forEach(({ code, label }) => {
+      options.appendChild(new Option(label || code, code));
+    });
+  } catch (error) {
+    console.warn('Could not load locales/index.json:', error);
+  }
+}
+
+function renderValidation({ errors, warnings }) {
+  validationReport.innerHTML = '';
+  validationReport.className = 'validation-report';
+  if (errors.length === 0 && warnings.length === 0) return;
+
+  validationReport.classList.add(errors.length > 0 ? 'has-errors' : 'has-warnings');
+  const heading = document.createElement('strong');
+  heading.textContent = errors.length > 0
+    ? 'Fix these problems before downloading:'
+    : 'Warnings (the config still loads):';
+  validationReport.appendChild(heading);
+
+  const list = document.createElement('ul');
+  [...errors.map(e => ['error', e]), ...warnings.map(w => ['warning', w])].forEach(([level, issue]) => {
+    const item = document.createElement('li');
+    item.className = level;
+    item.textContent = `${issue.path}: ${issue.message}`;
+    list.appendChild(item);
+  });
+  validationReport.appendChild(list);
 }
 
 function downloadBlob(filename, content) {
@@ -62,29 +454,112 @@ function downloadBlob(filename, content) {
   URL.revokeObjectURL(url);
 }
 
-generateBtn.addEventListener('click', () => {
+generateBtn.addEventListener('click', async () => {
   const { meta, config } = buildConfig();
+  if (!validateBeforeExport(config)) return;
+  if (!(await confirmChanges(config))) return;
   downloadBlob(`${meta.gameNumber}.json`, JSON.stringify(config, null, 2));
 });
 
-saveLocalBtn.addEventListener('click', () => {
+saveLocalBtn.addEventListener('click', async () => {
   const { meta, config } = buildConfig();
+  if (!validateBeforeExport(config)) return;
+  if (!(await confirmChanges(config))) return;
   // Offer download named for easy manual upload to /config in repo
   downloadBlob(`config-${meta.gameNumber}.json`, JSON.stringify(config, null, 2));
   alert('Config downloaded. Upload the file to your repo /config folder and name it appropriately (e.g., card-flip.json or game-001.json).');
 });
 
+saveLibraryBtn.addEventListener('click', async () => {
+  const { meta, config } = buildConfig();
+  if (!validateBeforeExport(config)) return;
+
+  libraryStatus.textContent = 'Saving...';
+  try {
+    const record = await dataStore.saveConfig({
+      title: meta.title,
+      slug: meta.slug,
+      config,
+      published: publishToggle.checked
+    });
+    libraryStatus.textContent = record.published
+      ? `Published. Play it at index.html?slug=${record.slug}`
+      : `Saved as draft. Preview it at index.html?slug=${record.slug}&preview`;
+  } catch (error) {
+    libraryStatus.textContent = `Save failed: ${error.message}`;
+  }
+});
+
+loadConfigFileBtn.addEventListener('click', async () => {
+  const file = configFileSelect.value;
+  if (!file) return;
+  try {
+    await applyConfig(await fetchConfigFile(file), file);
+  } catch (error) {
+    importStatus.textContent = error.message;
+  }
+});
+
+importFile.addEventListener('change', () => {
+  if (importFile.files[0]) importFromFile(importFile.files[0]);
+  importFile.value = '';
+});
+
+// Drop a .json file on the form panel to open it
+const hasFiles = (event) => Array.from(event.dataTransfer.types).includes('Files');
+formSection.addEventListener('dragover', (event) => {
+  if (!hasFiles(event)) return;
+  event.preventDefault();
+  formSection.classList.add('drop-active');
+});
+formSection.addEventListener('dragleave', (event) => {
+  if (!formSection.contains(event.relatedTarget)) formSection.classList.remove('drop-active');
+});
+formSection.addEventListener('drop', (event) => {
+  if (!hasFiles(event)) return;
+  event.preventDefault();
+  formSection.classList.remove('drop-active');
+  const file = event.dataTransfer.files[0];
+  if (file) importFromFile(file);
+});
+
+localesInput.addEventListener('change', () => {
+  setLocales(localesInput.value.split(',').map(normalizeLocale).filter(Boolean));
+});
+
+gameTypeSelect.addEventListener('change', async () => {
+  try {
+    await selectGameType(gameTypeSelect.value);
+  } catch (error) {
+    alert(error.message);
+  }
+});
+
 previewBtn.addEventListener('click', () => {
   const { config } = buildConfig();
   // Create blob URL and pass it to index.html as configUrl param for live preview
   const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
-  // set iframe to index.html?configUrl=<blob>
-  previewFrame.src = `../index.html?configUrl=${encodeURIComponent(url)}`;
+  // set iframe to index.html?configUrl=<blob>&lang=<language>
+  previewFrame.src = `../index.html?configUrl=${encodeURIComponent(url)}&lang=${encodeURIComponent(previewLocale.value)}`;
 });
 
 // init some defaults
-titleInput.value = 'Pick Your 3C Card';
-messagesInput.value =
-  'You are unstoppable today!\nFocus brings clarity.\nYour effort will pay off soon.\nBelieve in your instincts.\nToday is your turning point.\nCourage is your superpower.';
-slugInput.value = formatSlug(titleInput.value);
+async function init() {
+  await Promise.all([loadGameTypes(), loadThemes(), loadLocaleOptions()]);
+  await selectGameType('card-flip');
+
+  titleField.setValue('Pick Your 3C Card');
+  cardList.setCards([
+    'You are unstoppable today!',
+    'Focus brings clarity.',
+    'Your effort will pay off soon.',
+    'Believe in your instincts.',
+    'Today is your turning point.',
+    'Courage is your superpower.'
+  ].map((message, i) => ({ id: i + 1, frontImage: `card${i + 1}.png`, message })));
+  slugInput.value = formatSlug(titleField.getText());
+  populateConfigFiles();
+}
+
+init();
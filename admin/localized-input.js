@@ -0,0 +1,120 @@
+// admin/localized-input.js
+// A text field with one input per language, side by side, for config values
+// that may be a map by locale (see i18n.js). Empty translations are flagged.
+import { DOMUtils } from '../main.js';
+import { isLocaleMap } from '../i18n.js';
+
+/**
+ * Create a translatable text field
+ * @param {HTMLElement} root - Element to render into (cleared first)
+ * @param {Object} options
+ * @param {boolean} [options.multiline] - Use textareas
+ * @param {string} [options.placeholder] - Placeholder for the default language
+ * @param {string} [options.id] - id for the default language's input (for <label for>)
+ * @param {Function} [options.onChange] - Called after any edit
+ * @returns {Object} { setLocales, setValue, getValue, getText, focus }
+ */
+export function createLocalizedInput(root, { multiline = false, placeholder = '', id = null, onChange = () => {} } = {}) {
+  let locales = ['en'];
+  let values = {};
+  let inputs = [];
+
+  function render() {
+    root.innerHTML = '';
+    root.className = locales.length > 1 ? 'localized-input translated' : 'localized-input';
+    inputs = locales.map((locale, index) => {
+      const input = DOMUtils.createElement(multiline ? 'textarea' : 'input', {
+        lang: locale,
+        dir: 'auto',
+        placeholder: index === 0 ? placeholder : `${locale} translation`
+      });
+      if (multiline) input.rows = 2;
+      else input.type = 'text';
+      if (index === 0 && id) input.id = id;
+      input.value = values[locale] || '';
+      input.addEventListener('input', () => {
+        values[locale] = input.value;
+        flag(input, locale, index);
+        onChange();
+      });
+      flag(input, locale, index);
+
+      if (locales.length === 1) {
+        root.appendChild(input);
+      } else {
+        root.appendChild(DOMUtils.createElement('label', { className: 'localized-row' }, [
+          DOMUtils.createElement('span', { className: 'locale-tag' }, locale),
+          input
+        ]));
+      }
+      return input;
+    });
+  }
+
+  // Translations (not the default language) left empty once the default has text
+  function flag(input, locale, index) {
+    const missing = locales.length > 1 && index > 0 && !input.value.trim() && Boolean((values[locales[0]] || '').trim());
+    input.classList.toggle('missing', missing);
+    input.setAttribute('aria-invalid', String(missing));
+    input.title = missing ? `Missing ${locale} translation` : '';
+  }
+
+  render();
+
+  return {
+    // First locale is the default language
+    setLocales(newLocales) {
+      const previous = locales;
+      locales = newLocales.length > 0 ? [...newLocales] : ['en'];
+      values = toValues(changeLocales(toValue(values, previous), previous, locales), locales);
+      render();
+    },
+
+    setValue(value) {
+      values = toValues(value, locales);
+      render();
+    },
+
+    getValue() {
+      return toValue(values, locales);
+    },
+
+    // Text in the default language
+    getText() {
+      return values[locales[0]] || '';
+    },
+
+    focus() {
+      if (inputs[0]) inputs[0].focus();
+    }
+  };
+}
+
+/**
+ * Convert a value when the config's languages change: a plain string becomes
+ * the default language's entry, and a renamed default language keeps its text
+ * @param {string|Object} value - String or locale map
+ * @param {Array<string>} from - Previous languages (first is the default)
+ * @param {Array<string>} to - New languages
+ * @returns {string|Object} A string for one language, otherwise a locale map
+ */
+export function changeLocales(value, from, to) {
+  const values = toValues(value, from);
+  if (values[to[0]] === undefined && !to.includes(from[0])) {
+    values[to[0]] = values[from[0]];
+  }
+  return toValue(values, to);
+}
+
+function toValues(value, locales) {
+  return isLocaleMap(value) ? { ...value } : { [locales[0]]: value == null ? '' : String(value) };
+}
+
+// A plain string for one language, otherwise a map of the filled-in translations
+function toValue(values, locales) {
+  if (locales.length === 1) return values[locales[0]] || '';
+  const filled = locales.filter(locale => (values[locale] || '').trim());
+  // Nothing at all is an empty string, so the validator reports it as such
+  if (filled.length === 0) return '';
+  return Object.fromEntries(filled.map(locale => [locale, values[locale]]));
+}
@@ -0,0 +1,469 @@
+// admin/quiz-builder.js
+// Quiz editor: the intro, result profiles and questions of a quiz config (see
+// games/quiz.js). Each answer gets one weight box per profile and an optional
+// jump; questions can jump, and can be asked only after certain answers.
+import { DOMUtils, AssetUtils } from '../main.js';
+import { createLocalizedInput, changeLocales } from './localized-input.js';
+
+const END = 'end';
+
+/**
+ * Create a quiz builder
+ * @param {HTMLElement} root - Element to render the builder into
+ * @param {Object} options
+ * @param {Function} [options.onChange] - Called after any edit
+ * @returns {Object} { getValue, setValue, setLocales }
+ */
+export function createQuizBuilder(root, { onChange = () => {} } = {}) {
+  let intro = '';
+  let profiles = [];
+  let questions = [];
+  let locales = ['en'];
+
+  const introBoxes = DOMUtils.createElement('div');
+  const introField = createLocalizedInput(introBoxes, {
+    multiline: true,
+    placeholder: 'Shown above the first question',
+    onChange: () => {
+      intro = introField.getValue();
+      onChange();
+    }
+  });
+  const profileList = DOMUtils.createElement('ol', { className: 'card-list quiz-profiles' });
+  const questionList = DOMUtils.createElement('ol', { className: 'card-list quiz-questions' });
+  const addProfileBtn = DOMUtils.createElement('button', { type: 'button', className: 'secondary' }, '+ Add profile');
+  const addQuestionBtn = DOMUtils.createElement('button', { type: 'button', className: 'secondary' }, '+ Add question');
+  root.append(
+    DOMUtils.createElement('div', { className: 'card-field', role: 'group', 'aria-label': 'Introduction' }, ['Introduction', introBoxes]),
+    DOMUtils.createElement('h4', { className: 'quiz-builder-title' }, 'Result profiles'),
+    DOMUtils.createElement('p', { className: 'hint' }, 'The profile with the most weight from the chosen answers is the result. Ties go to the profile listed first.'),
+    profileList,
+    addProfileBtn,
+    DOMUtils.createElement('h4', { className: 'quiz-builder-title' }, 'Questions'),
+    questionList,
+    addQuestionBtn
+  );
+
+  addProfileBtn.addEventListener('click', () => {
+    profiles.push({ id: uniqueId('profile', profiles), title: '', message: '' });
+    render();
+    onChange();
+    profileList.lastElementChild.querySelector('input[type="text"]').focus();
+  });
+  addQuestionBtn.addEventListener('click', () => {
+    questions.push({ id: uniqueId('q', questions), text: '', answers: [{ id: 'a1', text: '' }] });
+    render();
+    onChange();
+    questionList.lastElementChild.querySelector('input[type="text"]').focus();
+  });
+
+  function render() {
+    profileList.innerHTML = '';
+    profiles.forEach((profile, index) => profileList.appendChild(renderProfile(profile, index)));
+    questionList.innerHTML = '';
+    questions.forEach((question, index) => questionList.appendChild(renderQuestion(question, index)));
+  }
+
+  function renderProfile(profile, index) {
+    const item = DOMUtils.createElement('li', { className: 'card-item' });
+    item.appendChild(itemHeader(`Profile ${index + 1}`, [
+      actionButton('↑', `Move profile ${index + 1} up`, () => move(profiles, index, index - 1)),
+      actionButton('↓', `Move profile ${index + 1} down`, () => move(profiles, index, index + 1)),
+      actionButton('Delete', `Delete profile ${index + 1}`, () => {
+        profiles.splice(index, 1);
+        questions.forEach(question => question.answers.forEach(answer => {
+          if (answer.weights) delete answer.weights[String(profile.id)];
+        }));
+        render();
+        onChange();
+      })
+    ]));
+
+    // Renaming a profile keeps the weights answers give it
+    item.appendChild(idField('Id', profile.id, profiles, (id) => {
+      questions.forEach(question => question.answers.forEach(answer => {
+        if (answer.weights && String(profile.id) in answer.weights) {
+          answer.weights[id] = answer.weights[String(profile.id)];
+          delete answer.weights[String(profile.id)];
+        }
+      }));
+      profile.id = id;
+    }));
+    item.appendChild(localizedField(`Profile ${index + 1} title`, 'Title', profile, 'title', { placeholder: 'Led by Courage' }));
+    item.appendChild(localizedField(`Profile ${index + 1} message`, 'Message', profile, 'message', { multiline: true }));
+
+    const preview = DOMUtils.createElement('img', { className: 'card-thumb', alt: '' });
+    const imageInput = DOMUtils.createElement('input', { type: 'text', placeholder: 'card1.png or https://...' });
+    imageInput.value = profile.image || '';
+    updatePreview(preview, profile.image);
+    imageInput.addEventListener('change', () => {
+      const src = imageInput.value.trim();
+      if (src) {
+        profile.image = src;
+      } else {
+        delete profile.image;
+      }
+      updatePreview(preview, src);
+      onChange();
+    });
+    item.appendChild(labelled('Image', DOMUtils.createElement('div', { className: 'image-row' }, [preview, imageInput])));
+    return item;
+  }
+
+  function renderQuestion(question, index) {
+    const item = DOMUtils.createElement('li', { className: 'card-item quiz-question-item' });
+    item.appendChild(itemHeader(`Question ${index + 1}`, [
+      actionButton('↑', `Move question ${index + 1} up`, () => move(questions, index, index - 1)),
+      actionButton('↓', `Move question ${index + 1} down`, () => move(questions, index, index + 1)),
+      actionButton('Delete', `Delete question ${index + 1}`, () => {
+        questions.splice(index, 1);
+        forgetQuestion(String(question.id));
+        render();
+        onChange();
+      })
+    ]));
+
+    item.appendChild(idField('Id', question.id, questions, (id) => {
+      renameQuestion(String(question.id), id);
+      question.id = id;
+    }));
+    item.appendChild(localizedField(`Question ${index + 1} text`, 'Question', question, 'text', { multiline: true }));
+
+    // Single or multiple choice, with a limit for multiple
+    const typeSelect = DOMUtils.createElement('select');
+    [['single', 'One answer'], ['multiple', 'Several answers']].forEach(([value, label]) => {
+      typeSelect.appendChild(DOMUtils.createElement('option', { value }, label));
+    });
+    typeSelect.value = question.type || 'single';
+    const maxInput = DOMUtils.createElement('input', { type: 'number', min: '1', step: '1', placeholder: 'No limit' });
+    maxInput.value = question.maxChoices === undefined ? '' : String(question.maxChoices);
+    const maxField = labelled('Most answers a player can pick', maxInput);
+    maxField.hidden = typeSelect.value !== 'multiple';
+    typeSelect.addEventListener('change', () => {
+      if (typeSelect.value === 'multiple') {
+        question.type = 'multiple';
+      } else {
+        delete question.type;
+        delete question.maxChoices;
+        maxInput.value = '';
+      }
+      maxField.hidden = typeSelect.value !== 'multiple';
+      onChange();
+    });
+    maxInput.addEventListener('change', () => {
+      setOptional(question, 'maxChoices', maxInput.value === '' ? undefined : parseInt(maxInput.value, 10));
+      onChange();
+    });
+    item.append(labelled('Answer type', typeSelect), maxField);
+
+    item.appendChild(labelled('After this question, go to', nextSelect(question, index, 'Next question in order')));
+    item.appendChild(renderConditions(question, index));
+
+    const answerList = DOMUtils.createElement('ol', { className: 'quiz-answer-list' });
+    question.answers.forEach((answer, answerIndex) => answerList.appendChild(renderAnswer(question, answer, answerIndex)));
+    const addAnswer = DOMUtils.createElement('button', { type: 'button', className: 'secondary' }, '+ Add answer');
+    addAnswer.addEventListener('click', () => {
+      question.answers.push({ id: uniqueId('a', question.answers), text: '' });
+      render();
+      onChange();
+    });
+    item.append(DOMUtils.createElement('div', { className: 'card-field' }, ['Answers', answerList]), addAnswer);
+    return item;
+  }
+
+  function renderAnswer(question, answer, index) {
+    const item = DOMUtils.createElement('li', { className: 'quiz-answer-item' });
+    const label = `Answer ${index + 1} of question ${questions.indexOf(question) + 1}`;
+    item.appendChild(itemHeader(`Answer ${index + 1}`, [
+      actionButton('↑', `Move ${label} up`, () => move(question.answers, index, index - 1)),
+      actionButton('↓', `Move ${label} down`, () => move(question.answers, index, index + 1)),
+      actionButton('Delete', `Delete ${label}`, () => {
+        question.answers.splice(index, 1);
+        questions.forEach(other => {
+          const allowed = other.when && other.when[String(question.id)];
+          if (Array.isArray(allowed)) {
+            other.when[String(question.id)] = allowed.filter(id => String(id) !== String(answer.id));
+          }
+        });
+        render();
+        onChange();
+      })
+    ]));
+
+    item.appendChild(idField('Id', answer.id, question.answers, (id) => {
+      questions.forEach(other => {
+        const allowed = other.when && other.when[String(question.id)];
+        if (Array.isArray(allowed)) {
+          other.when[String(question.id)] = allowed.map(allowedId => (String(allowedId) === String(answer.id) ? id : allowedId));
+        }
+      });
+      answer.id = id;
+    }));
+    item.appendChild(localizedField(label, 'Answer', answer, 'text'));
+
+    // One box per profile; empty means the answer adds nothing to it
+    const weights = DOMUtils.createElement('div', { className: 'quiz-weights' });
+    profiles.forEach(profile => {
+      const key = String(profile.id);
+      const input = DOMUtils.createElement('input', { type: 'number', step: 'any', placeholder: '0' });
+      input.value = answer.weights && answer.weights[key] !== undefined ? String(answer.weights[key]) : '';
+      input.addEventListener('change', () => {
+        answer.weights = { ...(answer.weights || {}) };
+        if (input.value === '') {
+          delete answer.weights[key];
+        } else {
+          answer.weights[key] = Number(input.value);
+        }
+        if (Object.keys(answer.weights).length === 0) delete answer.weights;
+        onChange();
+      });
+      weights.appendChild(DOMUtils.createElement('label', { className: 'quiz-weight' }, [key, input]));
+    });
+    if (profiles.length === 0) {
+      weights.appendChild(DOMUtils.createElement('p', { className: 'hint' }, 'Add a result profile to give this answer weights.'));
+    }
+    item.appendChild(DOMUtils.createElement('div', {
+      className: 'card-field',
+      role: 'group',
+      'aria-label': `${label} weights`
+    }, ['Weights', weights]));
+
+    item.appendChild(labelled('When picked, go to', nextSelect(answer, questions.indexOf(question), "The question's choice")));
+    return item;
+  }
+
+  // "Only ask if": rows of earlier question + the answers that allow this one
+  function renderConditions(question, index) {
+    const wrapper = DOMUtils.createElement('details', { className: 'card-extras' });
+    const conditions = Object.entries(question.when || {});
+    wrapper.appendChild(DOMUtils.createElement('summary', {}, `Only ask if (${conditions.length})`));
+    if (conditions.length > 0) wrapper.open = true;
+    wrapper.appendChild(DOMUtils.createElement('p', { className: 'hint' },
+      'Every listed question must have been answered with one of its checked answers.'));
+
+    const earlier = questions.slice(0, index);
+    conditions.forEach(([id, answerIds]) => {
+      const source = questions.find(other => String(other.id) === id);
+      const allowed = (Array.isArray(answerIds) ? answerIds : []).map(String);
+      const row = DOMUtils.createElement('fieldset', { className: 'quiz-condition' }, [
+        DOMUtils.createElement('legend', {}, source ? `${id}: ${preview(source.text)}` : `${id} (missing question)`)
+      ]);
+      (source ? source.answers : []).forEach(answer => {
+        const box = DOMUtils.createElement('input', { type: 'checkbox' });
+        box.checked = allowed.includes(String(answer.id));
+        box.addEventListener('change', () => {
+          const current = (question.when[id] || []).filter(item => String(item) !== String(answer.id));
+          question.when[id] = box.checked ? [...current, answer.id] : current;
+          onChange();
+        });
+        row.appendChild(DOMUtils.createElement('label', { className: 'inline' }, [box, preview(answer.text) || String(answer.id)]));
+      });
+      row.appendChild(actionButton('Remove', `Remove condition on ${id}`, () => {
+        delete question.when[id];
+        if (Object.keys(question.when).length === 0) delete question.when;
+        render();
+        onChange();
+      }));
+      wrapper.appendChild(row);
+    });
+
+    const available = earlier.filter(other => !(String(other.id) in (question.when || {})));
+    if (available.length > 0) {
+      const pick = DOMUtils.createElement('select', { 'aria-label': 'Earlier question' });
+      available.forEach(other => pick.appendChild(DOMUtils.createElement('option', { value: String(other.id) },
+        `${other.id}: ${preview(other.text)}`)));
+      const add = actionButton('+ Condition', 'Add condition', () => {
+        question.when = { ...(question.when || {}), [pick.value]: [] };
+        render();
+        onChange();
+      });
+      wrapper.appendChild(DOMUtils.createElement('div', { className: 'inline-row' }, [pick, add]));
+    } else if (earlier.length === 0) {
+      wrapper.appendChild(DOMUtils.createElement('p', { className: 'hint' }, 'The first question is always asked.'));
+    }
+    return wrapper;
+  }
+
+  // Jump target for a question or answer: a later question id, the end, or nothing.
+  // Only later questions are offered so a quiz can't loop
+  function nextSelect(target, from, defaultLabel) {
+    const select = DOMUtils.createElement('select');
+    select.appendChild(DOMUtils.createElement('option', { value: '' }, defaultLabel));
+    questions.slice(from + 1).forEach(question => select.appendChild(DOMUtils.createElement('option', { value: String(question.id) },
+      `${question.id}: ${preview(question.text)}`)));
+    select.appendChild(DOMUtils.createElement('option', { value: END }, 'End the quiz'));
+    const current = target.next === undefined ? '' : String(target.next);
+    if (current && !Array.from(select.options).some(option => option.value === current)) {
+      const known = questions.some(question => String(question.id) === current);
+      select.appendChild(DOMUtils.createElement('option', { value: current },
+        `${current} (${known ? 'earlier question' : 'missing question'})`));
+    }
+    select.value = current;
+    select.addEventListener('change', () => {
+      const question = questions.find(other => String(other.id) === select.value);
+      setOptional(target, 'next', select.value === '' ? undefined : (question ? question.id : select.value));
+      onChange();
+    });
+    return select;
+  }
+
+  function idField(text, value, siblings, rename) {
+    const input = DOMUtils.createElement('input', { type: 'text', className: 'quiz-id' });
+    input.value = String(value);
+    input.addEventListener('change', () => {
+      const id = input.value.trim();
+      const taken = siblings.some(other => String(other.id) === id && String(other.id) !== String(value));
+      if (!id || taken || id === END) {
+        input.value = String(value);
+        input.setCustomValidity(taken ? `'${id}' is already used` : '');
+        return;
+      }
+      rename(id);
+      render();
+      onChange();
+    });
+    return labelled(text, input);
+  }
+
+  function localizedField(groupLabel, text, target, key, { multiline = false, placeholder = '' } = {}) {
+    const boxes = DOMUtils.createElement('div');
+    const field = createLocalizedInput(boxes, {
+      multiline,
+      placeholder,
+      onChange: () => {
+        target[key] = field.getValue();
+        onChange();
+      }
+    });
+    field.setLocales(locales);
+    field.setValue(target[key]);
+    return DOMUtils.createElement('div', { className: 'card-field', role: 'group', 'aria-label': groupLabel }, [text, boxes]);
+  }
+
+  function move(list, from, to) {
+    if (to < 0 || to >= list.length || from === to) return;
+    const [item] = list.splice(from, 1);
+    list.splice(to, 0, item);
+    render();
+    onChange();
+  }
+
+  function renameQuestion(from, to) {
+    questions.forEach(question => {
+      if (String(question.next) === from) question.next = to;
+      question.answers.forEach(answer => {
+        if (String(answer.next) === from) answer.next = to;
+      });
+      if (question.when && from in question.when) {
+        question.when[to] = question.when[from];
+        delete question.when[from];
+      }
+    });
+  }
+
+  // Jumps to a deleted question fall back to the order; its conditions go
+  function forgetQuestion(id) {
+    questions.forEach(question => {
+      if (String(question.next) === id) delete question.next;
+      question.answers.forEach(answer => {
+        if (String(answer.next) === id) delete answer.next;
+      });
+      if (question.when) {
+        delete question.when[id];
+        if (Object.keys(question.when).length === 0) delete question.when;
+      }
+    });
+  }
+
+  function eachText(convert) {
+    intro = convert(intro);
+    profiles.forEach(profile => {
+      profile.title = convert(profile.title);
+      profile.message = convert(profile.message);
+    });
+    questions.forEach(question => {
+      question.text = convert(question.text);
+      question.answers.forEach(answer => {
+        answer.text = convert(answer.text);
+      });
+    });
+  }
+
+  return {
+    getValue() {
+      const value = { profiles: clone(profiles), questions: clone(questions) };
+      if (intro) value.intro = clone(intro);
+      return value;
+    },
+
+    setValue(config) {
+      intro = clone(config.intro || '');
+      profiles = clone(Array.isArray(config.profiles) ? config.profiles : []);
+      questions = clone(Array.isArray(config.questions) ? config.questions : [])
+        .map(question => ({ ...question, answers: Array.isArray(question.answers) ? question.answers : [] }));
+      introField.setValue(intro);
+      render();
+    },
+
+    // Languages to show text boxes for; the first is the default
+    setLocales(newLocales) {
+      eachText(value => changeLocales(value, locales, newLocales));
+      locales = [...newLocales];
+      introField.setLocales(locales);
+      introField.setValue(intro);
+      render();
+    }
+  };
+}
+
+// Ids like q1, q2... not used by a sibling yet
+function uniqueId(prefix, siblings) {
+  const used = new Set(siblings.map(item => String(item.id)));
+  let n = siblings.length + 1;
+  while (used.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+}
+
+function setOptional(target, key, value) {
+  if (value === undefined || Number.isNaN(value)) {
+    delete target[key];
+  } else {
+    target[key] = value;
+  }
+}
+
+// Short default-language text for option labels
+function preview(text) {
+  const value = text && typeof text === 'object' ? Object.values(text)[0] : text;
+  const plain = String(value || '').trim();
+  return plain.length > 40 ? `${plain.slice(0, 39)}…` : plain;
+}
+
+function itemHeader(title, actions) {
+  return DOMUtils.createElement('div', { className: 'card-item-header' }, [
+    DOMUtils.createElement('strong', {}, title),
+    DOMUtils.createElement('span', { className: 'card-actions' }, actions)
+  ]);
+}
+
+function actionButton(text, label, onClick) {
+  const button = DOMUtils.createElement('button', { type: 'button', className: 'link-btn', 'aria-label': label }, text);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function labelled(text, control) {
+  return DOMUtils.createElement('label', { className: 'card-field' }, [text, control]);
+}
+
+// The editor lives in /admin, so relative asset paths need one level up
+function updatePreview(img, src) {
+  const url = AssetUtils.resolve(src);
+  img.hidden = !url;
+  if (!url) return;
+  img.src = /^([a-z]+:|\/)/i.test(url) ? url : `../${url}`;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,133 @@
+// admin/schema-form.js
+// Builds form controls from the JSON Schema a game module exports, so new game
+// types get an editor form without editor code changes.
+import { DOMUtils } from '../main.js';
+
+/**
+ * Render controls for the properties of an object schema
+ * @param {HTMLElement} root - Element to render into (cleared first)
+ * @param {Object} schema - Object schema ({ properties })
+ * @param {Object} options
+ * @param {string} [options.idPrefix] - Prefix for generated element ids
+ * @param {Function} [options.onChange] - Called after any edit
+ * @returns {Object} { getValue, setValue, isEmpty, keys }
+ *   getValue() leaves out fields still at their default, so the schema default applies
+ */
+export function createSchemaForm(root, schema, { idPrefix = 'field', onChange = () => {} } = {}) {
+  root.innerHTML = '';
+  const fields = buildFields(root, schema, idPrefix, onChange);
+
+  return {
+    getValue: () => readFields(fields),
+    setValue: (value) => writeFields(fields, value || {}),
+    isEmpty: () => fields.length === 0,
+    keys: () => fields.map(field => field.key)
+  };
+}
+
+function buildFields(root, schema, idPrefix, onChange) {
+  return Object.entries(schema.properties || {}).map(([key, propSchema]) => {
+    const id = `${idPrefix}-${key}`;
+    const label = propSchema.title || humanize(key);
+    const type = [].concat(propSchema.type || 'string').find(t => t !== 'null');
+
+    if (type === 'object' && propSchema.properties) {
+      const fieldset = DOMUtils.createElement('fieldset', { className: 'schema-group' }, [
+        DOMUtils.createElement('legend', {}, label)
+      ]);
+      root.appendChild(fieldset);
+      return { key, type, children: buildFields(fieldset, propSchema, id, onChange) };
+    }
+
+    let input;
+    if (propSchema.enum) {
+      input = DOMUtils.createElement('select', { id });
+      if (propSchema.default !== undefined) {
+        input.appendChild(DOMUtils.createElement('option', { value: '' }, `Default (${propSchema.default})`));
+      }
+      propSchema.enum.forEach(option => input.appendChild(DOMUtils.createElement('option', { value: option }, String(option))));
+    } else if (type === 'boolean') {
+      input = DOMUtils.createElement('input', { id, type: 'checkbox' });
+    } else if (type === 'integer' || type === 'number') {
+      input = DOMUtils.createElement('input', { id, type: 'number', step: type === 'integer' ? '1' : 'any' });
+      if (propSchema.minimum !== undefined) input.min = propSchema.minimum;
+      if (propSchema.maximum !== undefined) input.max = propSchema.maximum;
+      if (propSchema.default !== undefined) input.placeholder = String(propSchema.default);
+    } else {
+      input = DOMUtils.createElement('input', { id, type: 'text' });
+      if (propSchema.default !== undefined) input.placeholder = String(propSchema.default);
+      if (propSchema.pattern) input.pattern = propSchema.pattern;
+    }
+    const field = { key, type, schema: propSchema, input, set: false };
+    input.addEventListener(type === 'boolean' || propSchema.enum ? 'change' : 'input', () => {
+      field.set = true;
+      onChange();
+    });
+    writeField(field, undefined);
+
+    if (type === 'boolean') {
+      root.appendChild(DOMUtils.createElement('label', { className: 'inline', for: id }, [input, ` ${label}`]));
+    } else {
+      root.appendChild(DOMUtils.createElement('label', { for: id }, label));
+      root.appendChild(input);
+    }
+    if (propSchema.description) {
+      root.appendChild(DOMUtils.createElement('p', { className: 'hint' }, propSchema.description));
+    }
+    return field;
+  });
+}
+
+function readFields(fields) {
+  const value = {};
+  fields.forEach(field => {
+    if (field.children) {
+      const nested = readFields(field.children);
+      if (Object.keys(nested).length > 0) value[field.key] = nested;
+      return;
+    }
+
+    const { input, type } = field;
+    if (type === 'boolean') {
+      // A checkbox can't be empty: keep it only if it was set or differs from the default
+      if (field.set || input.checked !== Boolean(field.schema.default)) value[field.key] = input.checked;
+    } else if (input.value === '') {
+      // Leave it out so the schema default applies
+    } else if (type === 'integer' || type === 'number') {
+      value[field.key] = Number(input.value);
+    } else {
+      value[field.key] = input.value;
+    }
+  });
+  return value;
+}
+
+function writeFields(fields, value) {
+  fields.forEach(field => {
+    if (field.children) {
+      writeFields(field.children, value[field.key] || {});
+    } else {
+      writeField(field, value[field.key]);
+    }
+  });
+}
+
+// Defaults are shown, not filled in: a placeholder, an empty "Default" option or
+// the checkbox's initial state
+function writeField(field, value) {
+  field.set = value !== undefined;
+  if (field.type === 'boolean') {
+    field.input.checked = Boolean(value !== undefined ? value : field.schema.default);
+  } else if (field.schema.enum) {
+    const fallback = field.schema.default !== undefined ? '' : String(field.schema.enum[0]);
+    field.input.value = value !== undefined ? String(value) : fallback;
+  } else {
+    field.input.value = value !== undefined ? String(value) : '';
+  }
+}
+
+function humanize(key) {
+  return key
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/^./, c => c.toUpperCase());
+}
@@ -0,0 +1,256 @@
+// analytics.js
+// Local gameplay analytics: which games are played, which cards get flipped,
+// where players need hints and what goes wrong.
+//
+// Events are typed (see EVENT_TYPES), stamped with the session and game, and
+// kept in a local queue in this browser (localStorage, separate from player
+// progress so it never ends up in a "My Progress" download). flush() hands
+// unsent events to a sink, so sending them to a backend later only needs a
+// new sink. Every sink implements:
+//   send(events) → Promise (reject to keep the events queued for the next flush)
+//
+// An event is { id, type, timestamp, sessionId, game, gameType, data, sent }.
+import { StringUtils } from './main.js';
+import { openPlayerStore, LocalStorageBackend } from './storage.js';
+
+/**
+ * Event types and the data fields each one requires
+ */
+export const EVENT_TYPES = {
+  session_start: ['gameType'],
+  card_flipped: ['cardId'],
+  quiz_answered: ['questionId'],
+  challenge_answered: ['promptId'],
+  result_shared: ['method'],
+  hint_used: [],
+  game_completed: [],
+  error: ['message']
+};
+
+// Oldest events are dropped past this, so the queue can't fill localStorage
+export const MAX_EVENTS = 2000;
+
+/**
+ * Sink that keeps events local only
+ */
+export class LocalOnlySink {
+  async send() {}
+}
+
+/**
+ * Sink that records what it was sent (for tests); set fail to simulate an outage
+ */
+export class MockSink {
+  constructor() {
+    this.batches = [];
+    this.fail = false;
+  }
+
+  async send(events) {
+    if (this.fail) throw new Error('Mock sink is down');
+    this.batches.push(events.map(event => ({ ...event })));
+  }
+
+  get events() {
+    return this.batches.flat();
+  }
+}
+
+export class Analytics {
+  /**
+   * @param {Object} store - PlayerStore holding { events }
+   * @param {Object} sink - Where flush() sends events
+   */
+  constructor(store, sink = new LocalOnlySink()) {
+    this.store = store;
+    this.sink = sink;
+    this.sessionId = `${Date.now().toString(36)}-${StringUtils.generateId(6)}`;
+    this.context = { game: null, gameType: null };
+    this.count = 0;
+    this.flushing = null;
+    // Tracked here but not yet appended to the stored list
+    this.unsaved = [];
+    this.writing = Promise.resolve();
+  }
+
+  // Game the following events belong to
+  setContext({ game = null, gameType = null } = {}) {
+    this.context = { game, gameType };
+  }
+
+  /**
+   * Record an event; invalid events are logged and dropped, never thrown,
+   * so analytics can't break a game
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event fields
+   * @returns {Object|null} The recorded event
+   */
+  track(type, data = {}) {
+    const required = EVENT_TYPES[type];
+    if (!required) {
+      console.warn(`Unknown analytics event '${type}' ignored`);
+      return null;
+    }
+    const missing = required.filter(field => data[field] === undefined || data[field] === null);
+    if (missing.length > 0) {
+      console.warn(`Analytics event '${type}' missing ${missing.join(', ')}; ignored`);
+      return null;
+    }
+
+    const event = {
+      id: `${this.sessionId}-${++this.count}`,
+      type,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId,
+      game: this.context.game,
+      gameType: this.context.gameType,
+      data,
+      sent: false
+    };
+    this.unsaved.push(event);
+    this.updateEvents(events => [...events, ...this.unsaved.splice(0)].slice(-MAX_EVENTS));
+    return event;
+  }
+
+  getEvents() {
+    return [...this.store.get('events', []), ...this.unsaved];
+  }
+
+  /**
+   * Read-modify-write the stored events. Other tabs append to the same list,
+   * so each write starts from what is stored now, not from this tab's copy.
+   * @param {Function} updater - (events) => events
+   * @returns {Promise<void>}
+   */
+  updateEvents(updater) {
+    this.writing = this.writing
+      .then(async () => {
+        await this.store.reload();
+        await this.store.update('events', updater, []);
+      })
+      .catch(error => console.warn('Could not save analytics events:', error));
+    return this.writing;
+  }
+
+  // Events the sink hasn't accepted yet
+  getQueue() {
+    return this.getEvents().filter(event => !event.sent);
+  }
+
+  /**
+   * Send queued events to the sink
+   * @returns {Promise<number>} How many events were sent
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = (async () => {
+        // Send what every tab has queued, not just this one
+        await this.writing;
+        await this.store.reload();
+        const queue = this.getQueue();
+        if (queue.length === 0) return 0;
+        try {
+          await this.sink.send(queue);
+        } catch (error) {
+          console.warn('Analytics flush failed, events stay queued:', error);
+          return 0;
+        }
+        const sent = new Set(queue.map(event => event.id));
+        await this.updateEvents(events => events.map(event => (
+          sent.has(event.id) ? { ...event, sent: true } : event
+        )));
+        return queue.length;
+      })().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  clear() {
+    this.unsaved = [];
+    this.writing = this.writing.then(() => this.store.clear());
+    return this.writing;
+  }
+}
+
+/**
+ * Open the local analytics queue
+ * @param {Object} options
+ * @param {Object} [options.sink] - Event sink (default: LocalOnlySink)
+ * @param {string|Object} [options.backend] - storage.js backend (default: localStorage, own prefix)
+ * @returns {Promise<Analytics>}
+ */
+export async function createAnalytics({ sink, backend = new LocalStorageBackend('3c-analytics:') } = {}) {
+  const store = await openPlayerStore('events', { backend });
+  return new Analytics(store, sink);
+}
+
+/**
+ * Summarize events for the admin view
+ * @param {Array} events - Events from Analytics.getEvents()
+ * @returns {Object} { total, sessions, byType, byGame, cards }
+ *   byGame: { [game]: { sessions, completions, hints, errors } }
+ *   cards: [{ game, cardId, message, flips }] most flipped first
+ */
+export function summarizeEvents(events) {
+  const byType = {};
+  const byGame = {};
+  const cards = new Map();
+  const sessions = new Set();
+
+  events.forEach(event => {
+    byType[event.type] = (byType[event.type] || 0) + 1;
+    sessions.add(event.sessionId);
+
+    const game = event.game || '(unknown)';
+    const stats = byGame[game] || (byGame[game] = { sessions: 0, completions: 0, hints: 0, errors: 0 });
+    if (event.type === 'session_start') stats.sessions++;
+    if (event.type === 'game_completed') stats.completions++;
+    if (event.type === 'hint_used') stats.hints++;
+    if (event.type === 'error') stats.errors++;
+
+    if (event.type === 'card_flipped') {
+      const key = `${game}|${event.data.cardId}`;
+      const card = cards.get(key) || { game, cardId: event.data.cardId, message: event.data.message || '', flips: 0 };
+      card.flips++;
+      cards.set(key, card);
+    }
+  });
+
+  return {
+    total: events.length,
+    sessions: sessions.size,
+    byType,
+    byGame,
+    cards: [...cards.values()].sort((a, b) => b.flips - a.flips)
+  };
+}
+
+const CSV_COLUMNS = ['timestamp', 'type', 'sessionId', 'game', 'gameType', 'cardId', 'message', 'score', 'data'];
+
+/**
+ * Flatten events to CSV (the common fields get their own columns, the rest of
+ * the event data goes into a JSON "data" column)
+ * @param {Array} events - Events from Analytics.getEvents()
+ * @returns {string} CSV text with a header row
+ */
+export function eventsToCsv(events) {
+  const rows = events.map(event => {
+    const { cardId, message, score, ...rest } = event.data || {};
+    return [
+      event.timestamp, event.type, event.sessionId, event.game, event.gameType,
+      cardId, message, score,
+      Object.keys(rest).length > 0 ? JSON.stringify(rest) : ''
+    ];
+  });
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Card messages are player-facing text; don't let a spreadsheet run them as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
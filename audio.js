@@ -0,0 +1,243 @@
+// audio.js
+// Sound effects and background music.
+//
+// Games play short named cues (see CUES) through context.playSound('flip');
+// they never deal with files. Which file a cue plays comes from the theme's
+// "sounds" map, overridden by the config's own "sounds" map, e.g.
+//   "sounds": { "flip": "flip.mp3", "win": "fanfare.mp3", "music": "loop.mp3" }
+// "music" is the theme's background loop. Cues without a file are silent.
+//
+// Everything plays through one Web Audio graph (effects and music each have a
+// gain node under a master gain), so effects can overlap with low latency.
+// Mobile browsers start audio suspended until the player touches the page;
+// unlockOnGesture() resumes it on the first tap, click or key press.
+//
+// Mute and volume are the player's choice, saved in the "audio" player store.
+import { AudioUtils } from './main.js';
+import { openPlayerStore, createMemoryStore } from './storage.js';
+
+/**
+ * Cues games can play; any other name also works if a theme or config maps it
+ */
+export const CUES = ['flip', 'match', 'win', 'error'];
+
+// Key in a sounds map for the background music loop
+export const MUSIC_CUE = 'music';
+
+// Music sits under the effects so cues stay audible
+const MUSIC_LEVEL = 0.4;
+
+export class AudioError extends Error {
+  constructor(message, type = 'AUDIO_ERROR') {
+    super(message);
+    this.name = 'AudioError';
+    this.type = type;
+  }
+}
+
+export class AudioManager {
+  /**
+   * @param {Object} store - PlayerStore holding { muted, volume }
+   * @param {Object} options
+   * @param {Function} [options.createContext] - Returns an AudioContext (or null when unsupported)
+   * @param {Function} [options.fetch] - Used to load sound files
+   */
+  constructor(store, { createContext = () => AudioUtils.createAudioContext(), fetch: fetchFn = (...args) => fetch(...args) } = {}) {
+    this.store = store;
+    this.createContext = createContext;
+    this.fetch = fetchFn;
+    this.context = null;
+    this.nodes = null;
+    this.sounds = {};
+    this.buffers = new Map();
+    this.music = null;
+    this.wantMusic = false;
+    this.unsupported = false;
+  }
+
+  get muted() {
+    return Boolean(this.store.get('muted', false));
+  }
+
+  // 0..1
+  get volume() {
+    const volume = Number(this.store.get('volume', 0.8));
+    return Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 0.8;
+  }
+
+  get unlocked() {
+    return Boolean(this.context && this.context.state === 'running');
+  }
+
+  setMuted(muted) {
+    this.store.set('muted', Boolean(muted));
+    this.updateGain();
+  }
+
+  setVolume(volume) {
+    this.store.set('volume', Math.min(1, Math.max(0, Number(volume) || 0)));
+    this.updateGain();
+  }
+
+  /**
+   * Choose the files for each cue and decode them; replaces the previous map
+   * @param {Object} sounds - { cue: url }, e.g. ThemeManager's merged sounds plus the config's
+   * @returns {Promise<Array<string>>} Cues whose file could not be loaded (also logged)
+   */
+  async setSounds(sounds = {}) {
+    const previousMusic = this.sounds[MUSIC_CUE];
+    this.sounds = Object.fromEntries(Object.entries(sounds).filter(([, src]) => typeof src === 'string' && src));
+    if (this.sounds[MUSIC_CUE] !== previousMusic) this.stopMusic();
+
+    if (!this.ensureContext()) return [];
+    const failed = [];
+    await Promise.all(Object.entries(this.sounds).map(async ([cue, src]) => {
+      try {
+        await this.loadBuffer(src);
+      } catch (error) {
+        console.warn(`Sound '${cue}' could not be loaded:`, error.message);
+        failed.push(cue);
+      }
+    }));
+    return failed;
+  }
+
+  /**
+   * Play a cue once; overlapping calls play on top of each other
+   * @param {string} cue - e.g. 'flip'
+   * @returns {boolean} Whether anything was played
+   */
+  play(cue) {
+    const buffer = this.buffers.get(this.sounds[cue]);
+    if (!buffer || !this.unlocked || this.muted) return false;
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.nodes.effects);
+    source.start();
+    return true;
+  }
+
+  // Loop the "music" sound; waits for unlock() if audio is still locked
+  playMusic() {
+    this.wantMusic = true;
+    if (this.music || !this.unlocked) return;
+    const buffer = this.buffers.get(this.sounds[MUSIC_CUE]);
+    if (!buffer) return;
+    this.music = this.context.createBufferSource();
+    this.music.buffer = buffer;
+    this.music.loop = true;
+    this.music.connect(this.nodes.music);
+    this.music.start();
+  }
+
+  stopMusic() {
+    this.wantMusic = false;
+    if (!this.music) return;
+    try {
+      this.music.stop();
+    } catch (error) {
+      // Never started
+    }
+    this.music.disconnect();
+    this.music = null;
+  }
+
+  /**
+   * Resume audio; browsers only allow this while handling a user gesture
+   * @returns {Promise<boolean>} Whether audio is now running
+   */
+  async unlock() {
+    if (!this.ensureContext()) return false;
+    if (this.context.state !== 'running') {
+      try {
+        await this.context.resume();
+      } catch (error) {
+        console.warn('Audio could not be started:', error);
+        return false;
+      }
+    }
+    if (this.wantMusic) this.playMusic();
+    return this.unlocked;
+  }
+
+  /**
+   * Call unlock() on the first tap, click or key press in the page
+   * @param {EventTarget} target - Where to listen (default: document)
+   * @returns {Function} Cleanup function
+   */
+  unlockOnGesture(target = document) {
+    const events = ['pointerdown', 'touchend', 'keydown'];
+    const onGesture = () => {
+      this.unlock().then(running => {
+        if (running) remove();
+      });
+    };
+    const remove = () => events.forEach(type => target.removeEventListener(type, onGesture, true));
+    events.forEach(type => target.addEventListener(type, onGesture, true));
+    return remove;
+  }
+
+  // Stop the music while the page is hidden; it picks up again in resume()
+  suspend() {
+    if (this.context && this.context.state === 'running') this.context.suspend();
+  }
+
+  resume() {
+    if (this.context && this.context.state === 'suspended') this.unlock();
+  }
+
+  ensureContext() {
+    if (this.context) return true;
+    if (this.unsupported) return false;
+    this.context = this.createContext();
+    if (!this.context) {
+      this.unsupported = true;
+      return false;
+    }
+    const master = this.context.createGain();
+    const effects = this.context.createGain();
+    const music = this.context.createGain();
+    music.gain.value = MUSIC_LEVEL;
+    effects.connect(master);
+    music.connect(master);
+    master.connect(this.context.destination);
+    this.nodes = { master, effects, music };
+    this.updateGain();
+    return true;
+  }
+
+  updateGain() {
+    if (this.nodes) this.nodes.master.gain.value = this.muted ? 0 : this.volume;
+  }
+
+  // Decoded once per URL and shared between cues and games
+  async loadBuffer(src) {
+    if (this.buffers.has(src)) return this.buffers.get(src);
+    const response = await this.fetch(src);
+    if (!response.ok) {
+      throw new AudioError(`Could not load sound ${src} (HTTP ${response.status})`, 'NOT_FOUND');
+    }
+    const data = await response.arrayBuffer();
+    let buffer;
+    try {
+      buffer = await this.context.decodeAudioData(data);
+    } catch (error) {
+      throw new AudioError(`Could not decode sound ${src}: ${error.message}`, 'DECODE_FAILED');
+    }
+    this.buffers.set(src, buffer);
+    return buffer;
+  }
+}
+
+/**
+ * Create the page's audio manager with the player's saved mute/volume
+ * @param {Object} options - AudioManager options plus store (default: player store "audio")
+ * @returns {Promise<AudioManager>}
+ */
+export async function createAudioManager({ store, ...options } = {}) {
+  const playerStore = store || await openPlayerStore('audio').catch((error) => {
+    console.warn('Sound settings will not be saved:', error);
+    return createMemoryStore('audio');
+  });
+  return new AudioManager(playerStore, options);
+}
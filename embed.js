@@ -0,0 +1,167 @@
+// embed.js
+// Drop a 3C game into any page:
+//
+//   <script src="https://games.example.com/embed.js"></script>
+//   <div data-3c-game="card-flip"></div>                 (config/card-flip.json)
+//   <div data-3c-slug="card-of-the-day"></div>           (published game library)
+//
+// or from script, e.g. to send a config you built yourself:
+//
+//   const game = ThreeCGames.embed('#game', {
+//     config: { gameType: 'card-flip', cards: [...] },
+//     onComplete: ({ score, result }) => { ... }
+//   });
+//
+// The game runs in an iframe (index.html?embed=1) and reports back through
+// postMessage; see EmbedBridge in loader.js for the protocol. Events are also
+// dispatched on the container element as DOM events: 3c:ready, 3c:score,
+// 3c:complete, 3c:playlist-complete, 3c:resize, 3c:error (payload in event.detail).
+//
+// This is a classic script (no modules) so it can be pasted into any page.
+(function () {
+  'use strict';
+
+  const PROTOCOL = '3c-games';
+  const VERSION = 1;
+  const EVENTS = ['ready', 'score', 'complete', 'playlist-complete', 'resize', 'error'];
+
+  // Games are served from wherever this script was loaded from
+  const script = document.currentScript;
+  const DEFAULT_BASE = script && script.src ? new URL('.', script.src).href : location.href;
+
+  /**
+   * Embed a game
+   * @param {string|HTMLElement} target - Container element or selector
+   * @param {Object} options
+   * @param {string} [options.configName] - File in config/ (without .json)
+   * @param {string} [options.slug] - Published game from the game library
+   * @param {string} [options.configUrl] - URL of a config JSON file
+   * @param {Object} [options.config] - Config object, sent in over postMessage
+   * @param {string} [options.baseUrl] - Where the games are hosted (default: next to embed.js)
+   * @param {string} [options.width] - CSS width (default: 100%)
+   * @param {string|number} [options.height] - CSS height or 'auto' to follow the game (default: auto)
+   * @param {string} [options.title] - Accessible iframe title
+   * @param {Function} [options.onReady|onScore|onComplete|onPlaylistComplete|onResize|onError] - Event callbacks
+   * @returns {Object} { iframe, on(type, handler), setConfig(config), restart(), destroy() }
+   */
+  function embed(target, options) {
+    options = options || {};
+    const container = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!container) {
+      throw new Error(`3C embed: container ${target} not found`);
+    }
+
+    const url = new URL('index.html', options.baseUrl || DEFAULT_BASE);
+    url.searchParams.set('embed', '1');
+    url.searchParams.set('parentOrigin', location.origin);
+    if (options.config) {
+      url.searchParams.set('configSource', 'message');
+    } else if (options.slug) {
+      url.searchParams.set('slug', options.slug);
+    } else if (options.configUrl) {
+      url.searchParams.set('configUrl', options.configUrl);
+    } else if (options.configName) {
+      url.searchParams.set('configName', options.configName);
+    }
+    const gameOrigin = url.origin;
+    const autoHeight = options.height === undefined || options.height === 'auto';
+
+    const iframe = document.createElement('iframe');
+    iframe.src = url.href;
+    iframe.title = options.title || '3C game';
+    iframe.allow = 'autoplay; fullscreen; web-share; clipboard-write';
+    iframe.style.width = options.width || '100%';
+    iframe.style.height = autoHeight ? '480px' : toCss(options.height);
+    iframe.style.border = '0';
+    iframe.style.display = 'block';
+
+    let config = options.config || null;
+    const listeners = {};
+
+    function post(type, payload) {
+      if (!iframe.contentWindow) return;
+      iframe.contentWindow.postMessage({ source: PROTOCOL, version: VERSION, type, payload: payload || {} }, gameOrigin);
+    }
+
+    function onMessage(event) {
+      // Only our own iframe, served from the games origin
+      if (event.source !== iframe.contentWindow || event.origin !== gameOrigin) return;
+      const message = event.data;
+      if (!message || message.source !== PROTOCOL || typeof message.type !== 'string') return;
+
+      const payload = message.payload || {};
+      if (message.type === 'config-request') {
+        if (config) post('config', { config });
+        return;
+      }
+      if (message.type === 'resize' && autoHeight && payload.height > 0) {
+        iframe.style.height = `${payload.height}px`;
+      }
+      if (!EVENTS.includes(message.type)) return;
+
+      const callback = options[callbackName(message.type)];
+      if (typeof callback === 'function') callback(payload);
+      (listeners[message.type] || []).forEach(handler => handler(payload));
+      container.dispatchEvent(new CustomEvent(`3c:${message.type}`, { detail: payload, bubbles: true }));
+    }
+
+    window.addEventListener('message', onMessage);
+    container.appendChild(iframe);
+
+    return {
+      iframe,
+
+      on(type, handler) {
+        (listeners[type] = listeners[type] || []).push(handler);
+        return this;
+      },
+
+      // Reloads the game with a new config object
+      setConfig(newConfig) {
+        config = newConfig;
+        url.searchParams.set('configSource', 'message');
+        iframe.src = url.href;
+      },
+
+      restart() {
+        post('restart');
+      },
+
+      destroy() {
+        window.removeEventListener('message', onMessage);
+        iframe.remove();
+      }
+    };
+  }
+
+  // 'playlist-complete' -> 'onPlaylistComplete'
+  function callbackName(type) {
+    return `on${type.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join('')}`;
+  }
+
+  function toCss(value) {
+    return /^\d+(\.\d+)?$/.test(String(value)) ? `${value}px` : value;
+  }
+
+  // <div data-3c-game="card-flip" data-3c-height="600"></div>
+  function autoEmbed() {
+    document.querySelectorAll('[data-3c-game], [data-3c-slug]').forEach(element => {
+      if (element.dataset.threeCEmbedded) return;
+      element.dataset.threeCEmbedded = 'true';
+      embed(element, {
+        configName: element.getAttribute('data-3c-game') || undefined,
+        slug: element.getAttribute('data-3c-slug') || undefined,
+        height: element.getAttribute('data-3c-height') || undefined,
+        title: element.getAttribute('data-3c-title') || undefined
+      });
+    });
+  }
+
+  window.ThreeCGames = { embed, autoEmbed, version: VERSION };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoEmbed);
+  } else {
+    autoEmbed();
+  }
+})();
@@ -1,5 +1,103 @@
 // games/card-flip.js
-export function startGame(config, container) {
+import { A11yUtils, ArrayUtils } from '../main.js';
+import { createMemoryStore } from '../storage.js';
+import { t } from '../i18n.js';
+
+// Modes:
+//   reveal-all - every card is dealt and the game ends once each has been flipped
+//   pick-one   - the player picks one face-down card; the others lock
+//   draw       - settings.drawCount cards are drawn from the deck to reveal
+// Cards may have a "weight" (default 1): heavier cards come up more often in
+// pick-one and draw, and weight 0 never comes up.
+export const MODES = ['reveal-all', 'pick-one', 'draw'];
+
+const DEFAULTS = {
+  mode: 'reveal-all',
+  drawCount: 3,
+  shuffle: false,
+  cardFlipSpeed: 500,
+  displayMs: 2500,
+  stayOpen: false,
+  allowReplay: true
+};
+
+// Shown in the admin editor's game type list
+export const meta = {
+  label: 'Card Flip',
+  description: 'Players flip cards to reveal a message on each one, pick one card, or draw a few at random.'
+};
+
+// JSON Schema for card-flip configs (checked by the loader and the admin editor)
+export const schema = {
+  type: 'object',
+  required: ['gameType', 'cards'],
+  properties: {
+    gameType: { type: 'string', enum: ['card-flip'] },
+    theme: { type: 'string' },
+    sounds: { type: 'object' },
+    title: { type: 'string', default: 'Card Flip' },
+    cards: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'message'],
+        properties: {
+          id: { type: ['integer', 'string'] },
+          frontImage: { type: 'string' },
+          message: { type: 'string', minLength: 1 },
+          weight: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    settings: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        mode: {
+          type: 'string', title: 'Mode', enum: MODES, default: DEFAULTS.mode,
+          description: 'reveal-all: flip every card. pick-one: pick a single card. draw: reveal a few cards drawn at random.'
+        },
+        drawCount: { type: 'integer', title: 'Cards to draw (draw mode)', minimum: 1, maximum: 50, default: DEFAULTS.drawCount },
+        shuffle: { type: 'boolean', title: 'Shuffle cards on each play', default: DEFAULTS.shuffle },
+        cardFlipSpeed: { type: 'integer', title: 'Flip speed (ms)', minimum: 0, maximum: 5000, default: DEFAULTS.cardFlipSpeed },
+        displayMs: { type: 'integer', title: 'Message display time (ms)', minimum: 0, maximum: 60000, default: DEFAULTS.displayMs },
+        stayOpen: { type: 'boolean', title: 'Cards stay open after flipping', default: DEFAULTS.stayOpen },
+        allowReplay: {
+          type: 'boolean', title: 'Allow replay', default: DEFAULTS.allowReplay,
+          description: 'When off, each card can be flipped only once and the game cannot be restarted.'
+        }
+      }
+    }
+  }
+};
+
+/**
+ * The result a shared link (?card=<id>) points at: a picked card
+ * @param {Object} config - Config with defaults filled in
+ * @param {string} shareId - The card's id
+ * @returns {Object|null} The pick-one result, or null for an unknown card
+ */
+export function sharedResult(config, shareId) {
+  const card = (config.cards || []).find(item => String(item.id) === String(shareId));
+  return card ? pickedResult(card) : null;
+}
+
+export function startGame(config, container, context = {}) {
+  const settings = { ...DEFAULTS, ...(config.settings || {}) };
+  const emit = context.emit || (() => {});
+  const track = context.track || (() => {});
+  const playSound = context.playSound || (() => {});
+  const timers = new Set();
+  // Cards opened on earlier visits are marked, so returning players can find new ones
+  const storage = context.storage || createMemoryStore('card-flip');
+  const seenBefore = new Set(storage.get('seenCards', []));
+  // One entry per card on the table: { element, data, number, opened }
+  let slots = [];
+  let finished = false;
+  let releaseKeyboard = () => {};
+
   // Title
   const title = document.createElement('h2');
   title.textContent = config.title || 'Card Flip';
@@ -9,43 +107,159 @@ export function startGame(config, container) {
   // Cards wrapper
   const wrapper = document.createElement('div');
   wrapper.className = 'cards-wrapper';
+  container.appendChild(wrapper);
+
+  function deal() {
+    clearTimers();
+    releaseKeyboard();
+    wrapper.innerHTML = '';
+    finished = false;
+
+    // In pick-one every card is face down and which one comes up is decided
+    // (by weight) when the player picks, so the slots start empty
+    slots = dealCards(config.cards, settings).map((cardData, index) => {
+      const slot = { data: settings.mode === 'pick-one' ? null : cardData, number: index + 1, opened: false };
+      slot.element = createCard(slot);
+      wrapper.appendChild(slot.element);
+      return slot;
+    });
 
-  // create cards (use frontImage path if you later want to show)
-  config.cards.forEach(cardData => {
+    // Arrow keys move between cards, Enter/Space flips
+    releaseKeyboard = A11yUtils.makeCardGrid(wrapper);
+  }
+
+  function createCard(slot) {
     const card = document.createElement('div');
     card.className = 'card';
-    card.setAttribute('data-id', cardData.id);
-
     const inner = document.createElement('div');
     inner.className = 'card-inner';
+    inner.style.transitionDuration = `${settings.cardFlipSpeed}ms`;
 
     const back = document.createElement('div');
     back.className = 'card-face card-back';
-    // optional: could set background-image of front/back using provided images
-
     const front = document.createElement('div');
     front.className = 'card-face card-front';
-    front.innerHTML = `<div class="card-text">${escapeHtml(cardData.message)}</div>`;
 
     inner.appendChild(back);
     inner.appendChild(front);
     card.appendChild(inner);
+    if (slot.data) fillCard(card, slot.data);
+    card.setAttribute('aria-label', closedLabel(slot));
+    card.addEventListener('click', () => flip(slot));
+    return card;
+  }
 
-    card.addEventListener('click', () => {
-      // flip visually
-      card.classList.add('flipped');
-      // optional: fire callback / analytics
-      // allow user to read and then unflip after a delay
-      const stay = (config.settings && config.settings.stayOpen) || false;
-      if (!stay) {
-        setTimeout(() => card.classList.remove('flipped'), (config.settings && config.settings.displayMs) || 2500);
-      }
-    });
+  function fillCard(card, cardData) {
+    card.setAttribute('data-id', cardData.id);
+    card.classList.toggle('seen', seenBefore.has(cardData.id));
+    card.querySelector('.card-front').innerHTML = `<div class="card-text">${escapeHtml(cardData.message)}</div>`;
+  }
 
-    wrapper.appendChild(card);
-  });
+  function closedLabel(slot) {
+    if (slot.opened && !settings.allowReplay) {
+      return t('games.cardFlip.cardUsed', { number: slot.number, message: slot.data.message });
+    }
+    const seen = slot.data && seenBefore.has(slot.data.id);
+    return t(seen ? 'games.cardFlip.cardSeen' : 'games.cardFlip.card', { number: slot.number });
+  }
 
-  container.appendChild(wrapper);
+  function flip(slot) {
+    const card = slot.element;
+    if (card.classList.contains('flipped') || card.classList.contains('locked')) return;
+    if (slot.opened && !settings.allowReplay) return;
+
+    if (settings.mode === 'pick-one') {
+      if (finished) return;
+      slot.data = drawCards(config.cards, 1)[0];
+      fillCard(card, slot.data);
+    }
+    const cardData = slot.data;
+
+    // flip visually
+    card.classList.add('flipped');
+    playSound('flip');
+    card.setAttribute('aria-label', t('games.cardFlip.cardOpen', { number: slot.number, message: cardData.message }));
+    A11yUtils.announce(cardData.message);
+    emit('move');
+    track('card_flipped', { cardId: cardData.id, message: cardData.message });
+    if (!seenBefore.has(cardData.id)) {
+      seenBefore.add(cardData.id);
+      storage.set('seenCards', [...seenBefore]);
+    }
+    slot.opened = true;
+
+    if (settings.mode === 'pick-one') {
+      // The pick is the result: it stays open and the other cards lock
+      finished = true;
+      slots.filter(other => other !== slot).forEach(other => {
+        other.element.classList.add('locked');
+        other.element.setAttribute('aria-disabled', 'true');
+        other.element.setAttribute('aria-label', t('games.cardFlip.cardLocked', { number: other.number }));
+      });
+      emit('complete', pickedResult(cardData));
+      return;
+    }
+
+    if (!finished && slots.every(other => other.opened)) {
+      finished = true;
+      emit('complete', { message: t('games.cardFlip.complete'), cards: slots.map(other => other.data) });
+    }
+    // allow user to read and then unflip after a delay
+    if (!settings.stayOpen) {
+      const id = setTimeout(() => {
+        timers.delete(id);
+        card.classList.remove('flipped');
+        if (!settings.allowReplay) {
+          card.classList.add('used');
+          card.setAttribute('aria-disabled', 'true');
+        }
+        card.setAttribute('aria-label', closedLabel(slot));
+      }, settings.cardFlipSpeed + settings.displayMs);
+      timers.add(id);
+    }
+  }
+
+  // Every card, or settings.drawCount of them drawn by weight; shuffled if asked
+  function dealCards(cards, { mode, drawCount, shuffle }) {
+    if (mode === 'draw') return drawCards(cards, drawCount);
+    return shuffle ? ArrayUtils.shuffle(cards) : [...cards];
+  }
+
+  function drawCards(cards, count) {
+    if (!cards.some(card => cardWeight(card) > 0)) {
+      console.warn('card-flip: every card has weight 0, drawing them evenly instead');
+      return ArrayUtils.randomItems(cards, count);
+    }
+    return ArrayUtils.randomItems(cards, count, cardWeight);
+  }
+
+  function clearTimers() {
+    timers.forEach(id => clearTimeout(id));
+    timers.clear();
+  }
+
+  deal();
+
+  const instance = {
+    destroy() {
+      clearTimers();
+      releaseKeyboard();
+      container.innerHTML = '';
+    }
+  };
+  // Without replay the loader offers no restart (and no "Play again")
+  if (settings.allowReplay) {
+    instance.restart = () => deal();
+  }
+  return instance;
+}
+
+function pickedResult(card) {
+  return { title: t('games.cardFlip.yourCard'), card, message: card.message, shareId: card.id };
+}
+
+function cardWeight(card) {
+  return card.weight === undefined ? 1 : card.weight;
 }
 
 // simple html escape
@@ -0,0 +1,304 @@
+// games/challenge.js
+import { ArrayUtils, DOMUtils, A11yUtils, AssetUtils, AnimationUtils } from '../main.js';
+import { t } from '../i18n.js';
+
+// A timed challenge: prompts with multiple-choice answers against one
+// countdown. Each right answer scores pointsPerAnswer plus streakBonus for
+// every right answer before it in the current streak; a wrong answer ends the
+// streak (and can cost seconds). The round ends when the clock runs out or
+// every prompt has been answered.
+
+const DEFAULTS = {
+  timeLimitSeconds: 60,
+  pointsPerAnswer: 100,
+  streakBonus: 50,
+  wrongPenaltySeconds: 0,
+  shuffle: true,
+  feedbackMs: 700
+};
+
+// The countdown is read out once when this many seconds are left
+const LOW_TIME_SECONDS = 10;
+
+// Shown in the admin editor's game type list
+export const meta = {
+  label: 'Timed Challenge',
+  description: 'Answer as many prompts as you can before the countdown ends; streaks score extra.'
+};
+
+// JSON Schema for challenge configs (checked by the loader and the admin editor)
+export const schema = {
+  type: 'object',
+  required: ['gameType', 'prompts'],
+  properties: {
+    gameType: { type: 'string', enum: ['challenge'] },
+    theme: { type: 'string' },
+    sounds: { type: 'object' },
+    title: { type: 'string', default: 'Challenge' },
+    intro: { type: 'string', title: 'Introduction', description: 'Shown with the start button.' },
+    prompts: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'text', 'choices', 'answer'],
+        properties: {
+          id: { type: ['integer', 'string'] },
+          text: { type: 'string', minLength: 1 },
+          image: { type: 'string' },
+          choices: { type: 'array', minItems: 2, items: { type: 'string', minLength: 1 } },
+          answer: { type: 'integer', minimum: 0, description: 'Index of the right choice, counting from 0' }
+        }
+      }
+    },
+    settings: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        timeLimitSeconds: { type: 'integer', title: 'Time limit (seconds)', minimum: 5, maximum: 3600, default: DEFAULTS.timeLimitSeconds },
+        pointsPerAnswer: { type: 'integer', title: 'Points per right answer', minimum: 0, default: DEFAULTS.pointsPerAnswer },
+        streakBonus: {
+          type: 'integer', title: 'Streak bonus', minimum: 0, default: DEFAULTS.streakBonus,
+          description: 'Extra points for each right answer already in the current streak.'
+        },
+        wrongPenaltySeconds: { type: 'integer', title: 'Seconds lost per wrong answer', minimum: 0, maximum: 600, default: DEFAULTS.wrongPenaltySeconds },
+        shuffle: { type: 'boolean', title: 'Shuffle prompts on each play', default: DEFAULTS.shuffle },
+        feedbackMs: { type: 'integer', title: 'Right/wrong display time (ms)', minimum: 0, maximum: 5000, default: DEFAULTS.feedbackMs }
+      }
+    }
+  }
+};
+
+/**
+ * Checks the schema can't express: prompt ids are unique and each answer
+ * points at one of its choices
+ * @param {Object} config - Config with defaults filled in
+ * @returns {Object} { errors, warnings } in the validator's { path, message } form
+ */
+export function checkConfig(config) {
+  const errors = [];
+  const ids = new Set();
+  (config.prompts || []).forEach((prompt, index) => {
+    const path = `$.prompts[${index}]`;
+    if (ids.has(String(prompt.id))) {
+      errors.push({ path: `${path}.id`, message: `Duplicate prompt id '${prompt.id}'` });
+    }
+    ids.add(String(prompt.id));
+    if (Array.isArray(prompt.choices) && prompt.answer >= prompt.choices.length) {
+      errors.push({ path: `${path}.answer`, message: `No choice ${prompt.answer} (choices count from 0)` });
+    }
+  });
+  return { errors, warnings: [] };
+}
+
+export function startGame(config, container, context = {}) {
+  const settings = { ...DEFAULTS, ...(config.settings || {}) };
+  const emit = context.emit || (() => {});
+  const track = context.track || (() => {});
+  const playSound = context.playSound || (() => {});
+  // Answer feedback delays; they wait while the game is paused
+  const timers = AnimationUtils.createTimers();
+  let clock = null;
+  let state;
+
+  const root = DOMUtils.createElement('div', { className: 'challenge' });
+  container.appendChild(root);
+
+  function begin() {
+    stopClock();
+    timers.clear();
+    state = {
+      prompts: settings.shuffle ? ArrayUtils.shuffle(config.prompts) : [...config.prompts],
+      index: 0,
+      score: 0,
+      correct: 0,
+      streak: 0,
+      bestStreak: 0,
+      penaltyMs: 0,
+      startedAt: null,
+      pausedAt: null,
+      pausedMs: 0,
+      warned: false,
+      locked: false,
+      finished: false
+    };
+
+    root.innerHTML = '';
+    root.appendChild(DOMUtils.createElement('h2', { className: 'challenge-title' }, config.title || 'Challenge'));
+    if (config.intro) {
+      root.appendChild(DOMUtils.createElement('p', { className: 'challenge-intro' }, config.intro));
+    }
+    root.appendChild(DOMUtils.createElement('p', { className: 'challenge-rules' },
+      t('games.challenge.rules', { count: state.prompts.length, seconds: settings.timeLimitSeconds })));
+    const start = DOMUtils.createElement('button', { type: 'button', className: 'modal-btn challenge-start' }, t('games.challenge.start'));
+    start.addEventListener('click', run);
+    root.appendChild(start);
+    start.focus();
+  }
+
+  // The clock starts with the first prompt, not when the page loads
+  function run() {
+    state.startedAt = Date.now();
+    root.innerHTML = '';
+    root.append(
+      DOMUtils.createElement('h2', { className: 'challenge-title' }, config.title || 'Challenge'),
+      DOMUtils.createElement('div', { className: 'challenge-status' }, [
+        DOMUtils.createElement('span', { className: 'challenge-timer', role: 'timer' }),
+        DOMUtils.createElement('span', { className: 'challenge-streak' })
+      ]),
+      DOMUtils.createElement('div', { className: 'challenge-prompt' })
+    );
+    tick();
+    clock = setInterval(tick, 250);
+    show();
+  }
+
+  function remainingMs() {
+    const now = state.pausedAt || Date.now();
+    return settings.timeLimitSeconds * 1000 - (now - state.startedAt - state.pausedMs) - state.penaltyMs;
+  }
+
+  function tick() {
+    const remaining = Math.max(0, remainingMs());
+    const seconds = Math.ceil(remaining / 1000);
+    const timer = root.querySelector('.challenge-timer');
+    timer.textContent = formatTime(seconds);
+    timer.classList.toggle('low', seconds <= LOW_TIME_SECONDS);
+    if (!state.warned && seconds <= LOW_TIME_SECONDS && seconds < settings.timeLimitSeconds) {
+      state.warned = true;
+      A11yUtils.announce(t('games.challenge.lowTime', { count: seconds }));
+    }
+    if (remaining <= 0) finish(true);
+  }
+
+  function show() {
+    const prompt = state.prompts[state.index];
+    const panel = root.querySelector('.challenge-prompt');
+    const image = AssetUtils.resolve(prompt.image);
+    root.querySelector('.challenge-streak').textContent = t('games.challenge.streak', { count: state.streak });
+
+    panel.innerHTML = '';
+    panel.append(
+      DOMUtils.createElement('p', { className: 'challenge-progress' },
+        t('games.challenge.progress', { number: state.index + 1, count: state.prompts.length })),
+      ...(image ? [DOMUtils.createElement('img', { className: 'challenge-image', src: image, alt: '' })] : []),
+      DOMUtils.createElement('p', { className: 'challenge-text', id: 'challenge-text', tabindex: '-1' }, prompt.text)
+    );
+    const choices = DOMUtils.createElement('div', {
+      className: 'challenge-choices',
+      role: 'group',
+      'aria-labelledby': 'challenge-text'
+    });
+    prompt.choices.forEach((choice, index) => {
+      const button = DOMUtils.createElement('button', { type: 'button', className: 'challenge-choice' }, choice);
+      button.addEventListener('click', () => answer(prompt, index, button));
+      choices.appendChild(button);
+    });
+    panel.appendChild(choices);
+    panel.querySelector('.challenge-text').focus();
+  }
+
+  function answer(prompt, index, button) {
+    if (state.locked || state.pausedAt || state.finished) return;
+    state.locked = true;
+    const right = index === prompt.answer;
+    emit('move');
+    track('challenge_answered', { promptId: prompt.id, correct: right });
+
+    if (right) {
+      state.score += settings.pointsPerAnswer + settings.streakBonus * state.streak;
+      state.correct++;
+      state.streak++;
+      state.bestStreak = Math.max(state.bestStreak, state.streak);
+      emit('score', state.score);
+      playSound('match');
+      A11yUtils.announce(t('games.challenge.right', { count: state.streak }));
+    } else {
+      state.streak = 0;
+      state.penaltyMs += settings.wrongPenaltySeconds * 1000;
+      playSound('error');
+      A11yUtils.announce(t('games.challenge.wrong', { answer: prompt.choices[prompt.answer] }));
+      tick();
+      if (state.finished) return;
+    }
+
+    // Show which choice was right before moving on
+    const buttons = [...button.parentElement.children];
+    buttons.forEach(other => {
+      other.disabled = true;
+    });
+    buttons[prompt.answer].classList.add('right');
+    if (!right) button.classList.add('wrong');
+
+    timers.later(() => {
+      state.locked = false;
+      state.index++;
+      if (state.index >= state.prompts.length) {
+        finish(false);
+      } else {
+        show();
+      }
+    }, settings.feedbackMs);
+  }
+
+  function finish(timeUp) {
+    if (state.finished) return;
+    state.finished = true;
+    stopClock();
+    timers.clear();
+    root.querySelectorAll('.challenge-choice').forEach(button => {
+      button.disabled = true;
+    });
+    const timeMs = Math.min(Date.now() - state.startedAt - state.pausedMs, settings.timeLimitSeconds * 1000);
+    emit('complete', {
+      score: state.score,
+      correct: state.correct,
+      answered: state.index + (state.locked ? 1 : 0),
+      bestStreak: state.bestStreak,
+      timeMs,
+      message: [
+        t(timeUp ? 'games.challenge.timeUp' : 'games.challenge.complete'),
+        t('games.challenge.summary', { correct: state.correct, count: state.prompts.length, streak: state.bestStreak })
+      ].join(' ')
+    });
+  }
+
+  function stopClock() {
+    clearInterval(clock);
+    clock = null;
+  }
+
+  begin();
+
+  return {
+    pause() {
+      if (!state.startedAt || state.pausedAt || state.finished) return;
+      state.pausedAt = Date.now();
+      timers.hold();
+      root.classList.add('paused');
+    },
+
+    resume() {
+      if (!state.pausedAt) return;
+      state.pausedMs += Date.now() - state.pausedAt;
+      state.pausedAt = null;
+      timers.resume();
+      root.classList.remove('paused');
+    },
+
+    restart() {
+      begin();
+    },
+
+    destroy() {
+      stopClock();
+      timers.clear();
+      container.innerHTML = '';
+    }
+  };
+}
+
+function formatTime(seconds) {
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,287 @@
+// games/daily-reveal.js
+import { DOMUtils, A11yUtils, StringUtils, AssetUtils } from '../main.js';
+import { createMemoryStore } from '../storage.js';
+import { t } from '../i18n.js';
+
+const DEFAULTS = {
+  timeZone: 'UTC'
+};
+
+// Before the storage layer, locks were kept directly in localStorage under this prefix
+const LEGACY_LOCK_PREFIX = '3c_daily_reveal_';
+
+// Shown in the admin editor's game type list
+export const meta = {
+  label: 'Daily Reveal',
+  description: 'One card per day, the same for every player, revealed once.'
+};
+
+// JSON Schema for daily-reveal configs (checked by the loader and the admin editor)
+export const schema = {
+  type: 'object',
+  required: ['gameType', 'cards'],
+  properties: {
+    gameType: { type: 'string', enum: ['daily-reveal'] },
+    theme: { type: 'string' },
+    sounds: { type: 'object' },
+    title: { type: 'string', default: 'Daily Reveal' },
+    slug: {
+      type: 'string', title: 'Lock key', pattern: '^[a-z0-9-]+$',
+      description: 'Identifies this game for the once-per-day lock. Defaults to the title as a slug.'
+    },
+    cards: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'message'],
+        properties: {
+          id: { type: ['integer', 'string'] },
+          frontImage: { type: 'string' },
+          message: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    settings: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        timeZone: {
+          type: 'string', title: 'Time zone', minLength: 1, default: DEFAULTS.timeZone,
+          description: 'IANA name (e.g. Europe/Lisbon) deciding when the day changes.'
+        }
+      }
+    }
+  }
+};
+
+/**
+ * The result a shared link (?card=<id>) points at: a revealed card
+ * @param {Object} config - Config with defaults filled in
+ * @param {string} shareId - The card's id
+ * @returns {Object|null} The reveal's result, or null for an unknown card
+ */
+export function sharedResult(config, shareId) {
+  const card = (config.cards || []).find(item => String(item.id) === String(shareId));
+  return card ? { card, message: card.message, shareId: card.id } : null;
+}
+
+export function startGame(config, container, context = {}) {
+  const settings = { ...DEFAULTS, ...(config.settings || {}) };
+  const emit = context.emit || (() => {});
+  const track = context.track || (() => {});
+  const playSound = context.playSound || (() => {});
+  const slug = config.slug || StringUtils.formatSlug(config.title || 'daily-reveal');
+  const storage = context.storage || createMemoryStore(slug);
+  let countdownTimer = null;
+  let rolloverTimer = null;
+  let releaseKeyboard = () => {};
+
+  migrateLegacyLock(storage, slug);
+
+  // Title
+  const title = DOMUtils.createElement('h2', {}, config.title || 'Daily Reveal');
+  title.style.textAlign = 'center';
+  container.appendChild(title);
+
+  const board = DOMUtils.createElement('div', { className: 'daily-reveal' });
+  container.appendChild(board);
+
+  render();
+
+  function render() {
+    const today = dateKey(new Date(), settings.timeZone);
+    const cardData = pickCard(config.cards, `${slug}|${today}`);
+    const lock = storage.get('lock');
+    const revealed = lock && lock.date === today;
+
+    board.innerHTML = '';
+    const card = createCard(cardData);
+    board.appendChild(card);
+    releaseKeyboard();
+    releaseKeyboard = A11yUtils.makeCardGrid(board);
+    card.setAttribute('aria-label', revealed ? cardData.message : t('games.dailyReveal.card'));
+
+    const note = DOMUtils.createElement('p', { className: 'daily-reveal-note' });
+    board.appendChild(note);
+
+    if (revealed) {
+      card.classList.add('flipped');
+      startCountdown(note, today);
+      return;
+    }
+
+    note.textContent = t('games.dailyReveal.tapToReveal');
+    card.addEventListener('click', async () => {
+      // Re-check so a reveal in another tab still counts as today's one
+      await storage.reload();
+      const current = storage.get('lock');
+      if (current && current.date === today) {
+        render();
+        return;
+      }
+
+      storage.set('lock', { date: today, cardId: cardData.id });
+      storage.update('seenCards', ids => ids.includes(cardData.id) ? ids : [...ids, cardData.id], []);
+      card.classList.add('flipped');
+      playSound('flip');
+      card.setAttribute('aria-label', cardData.message);
+      A11yUtils.announce(cardData.message);
+      emit('move');
+      track('card_flipped', { cardId: cardData.id, message: cardData.message });
+      emit('complete', { card: cardData, message: cardData.message, shareId: cardData.id });
+      startCountdown(note, today);
+    }, { once: true });
+  }
+
+  // The interval only updates the text; the new card waits for the date to change
+  function startCountdown(note, today) {
+    stopCountdown();
+
+    const tick = () => {
+      if (!container.isConnected) {
+        stopCountdown();
+        return;
+      }
+      const remaining = Math.max(0, msUntilNextDay(new Date(), settings.timeZone));
+      note.textContent = t('games.dailyReveal.nextReveal', { time: formatDuration(remaining) });
+    };
+
+    // Timers can fire a little early, so check the date and wait again if it's still today
+    const rollover = () => {
+      if (!container.isConnected) {
+        stopCountdown();
+        return;
+      }
+      if (dateKey(new Date(), settings.timeZone) !== today) {
+        stopCountdown();
+        render();
+        return;
+      }
+      rolloverTimer = setTimeout(rollover, Math.max(250, msUntilNextDay(new Date(), settings.timeZone)));
+    };
+
+    tick();
+    countdownTimer = setInterval(tick, 1000);
+    rolloverTimer = setTimeout(rollover, Math.max(250, msUntilNextDay(new Date(), settings.timeZone)));
+  }
+
+  function stopCountdown() {
+    clearInterval(countdownTimer);
+    clearTimeout(rolloverTimer);
+    countdownTimer = null;
+    rolloverTimer = null;
+  }
+
+  // One reveal per day, so there is nothing to pause, restart or hint
+  return {
+    destroy() {
+      stopCountdown();
+      releaseKeyboard();
+      container.innerHTML = '';
+    }
+  };
+}
+
+function createCard(cardData) {
+  const card = DOMUtils.createElement('div', {
+    className: 'card daily-card',
+    dataset: { id: cardData.id }
+  });
+
+  const inner = DOMUtils.createElement('div', { className: 'card-inner' });
+  const back = DOMUtils.createElement('div', { className: 'card-face card-back' });
+  const front = DOMUtils.createElement('div', { className: 'card-face card-front' });
+
+  const image = AssetUtils.resolve(cardData.frontImage);
+  if (image) {
+    front.style.backgroundImage = `url('${image}')`;
+    front.classList.add('has-image');
+  }
+  front.appendChild(DOMUtils.createElement('div', { className: 'card-text' }, cardData.message || ''));
+
+  inner.appendChild(back);
+  inner.appendChild(front);
+  card.appendChild(inner);
+  return card;
+}
+
+// Same seed -> same card, so every player gets an identical pick for the day
+function pickCard(cards, seed) {
+  return cards[hashString(seed) % cards.length];
+}
+
+// FNV-1a 32-bit hash
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function dateKey(date, timeZone) {
+  const parts = getDateParts(date, timeZone, { year: 'numeric', month: '2-digit', day: '2-digit' });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Days with a daylight saving change are 23 or 25 hours long, so find when the
+// next day actually starts in the time zone rather than counting 24 hours
+function msUntilNextDay(date, timeZone) {
+  const parts = getDateParts(date, timeZone, { year: 'numeric', month: '2-digit', day: '2-digit' });
+  // Midnight of the next day on the zone's wall clock, written as if it were UTC
+  const wallMidnight = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day) + 1);
+  const guess = wallMidnight - zoneOffset(new Date(wallMidnight), timeZone);
+  // The offset at midnight itself may differ from the one a few hours away
+  const corrected = wallMidnight - zoneOffset(new Date(guess), timeZone);
+  // Around a change at midnight only one of the two is the first moment of the new day
+  const today = dateKey(date, timeZone);
+  const start = [corrected, guess].find(time =>
+    dateKey(new Date(time), timeZone) !== today && dateKey(new Date(time - 1000), timeZone) === today);
+  return (start === undefined ? Math.max(guess, corrected) : start) - date.getTime();
+}
+
+// How far the zone's wall clock is ahead of UTC at this instant, in ms
+function zoneOffset(date, timeZone) {
+  const parts = getDateParts(date, timeZone, {
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  });
+  const wall = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return wall - (date.getTime() - date.getMilliseconds());
+}
+
+function getDateParts(date, timeZone, options) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone, ...options });
+  } catch (error) {
+    console.warn(`Unknown time zone '${timeZone}', falling back to UTC`);
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', ...options });
+  }
+  return formatter.formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+}
+
+function formatDuration(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function migrateLegacyLock(storage, slug) {
+  try {
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_LOCK_PREFIX + slug));
+    if (legacy && !storage.get('lock')) storage.set('lock', legacy);
+    localStorage.removeItem(LEGACY_LOCK_PREFIX + slug);
+  } catch (error) {
+    // Nothing to migrate (or no localStorage at all)
+  }
+}
@@ -0,0 +1,277 @@
+// games/memory-match.js
+import { ArrayUtils, DOMUtils, A11yUtils, GameStateUtils, AssetUtils, AnimationUtils } from '../main.js';
+import { t } from '../i18n.js';
+
+const DEFAULTS = {
+  pairCount: 6,
+  mismatchDelayMs: 900,
+  hintMs: 1000,
+  baseScore: 1000
+};
+
+// Shown in the admin editor's game type list
+export const meta = {
+  label: 'Memory Match',
+  description: 'Players find matching pairs; scored on time and attempts.'
+};
+
+// JSON Schema for memory-match configs (checked by the loader and the admin editor)
+export const schema = {
+  type: 'object',
+  required: ['gameType', 'cards'],
+  properties: {
+    gameType: { type: 'string', enum: ['memory-match'] },
+    theme: { type: 'string' },
+    sounds: { type: 'object' },
+    title: { type: 'string', default: 'Memory Match' },
+    cards: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: ['integer', 'string'] },
+          frontImage: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    },
+    settings: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        pairCount: {
+          type: 'integer', title: 'Pairs per round', minimum: 2, maximum: 24, default: DEFAULTS.pairCount,
+          description: 'Cards are picked at random when the config has more than this.'
+        },
+        mismatchDelayMs: { type: 'integer', title: 'Mismatch display time (ms)', minimum: 0, maximum: 10000, default: DEFAULTS.mismatchDelayMs },
+        hintMs: { type: 'integer', title: 'Hint display time (ms)', minimum: 0, maximum: 10000, default: DEFAULTS.hintMs },
+        baseScore: { type: 'integer', title: 'Base score', minimum: 0, default: DEFAULTS.baseScore },
+        scoring: {
+          type: 'object',
+          title: 'Scoring',
+          default: {},
+          additionalProperties: false,
+          properties: {
+            timeBonus: { type: 'number', title: 'Time bonus multiplier', minimum: 0, default: 1 },
+            attemptPenalty: { type: 'number', title: 'Penalty per wasted attempt', minimum: 0, default: 0.1 },
+            maxBonus: { type: 'number', title: 'Maximum time bonus', minimum: 0, default: 2 }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Checks the schema can't express: card ids are unique, since cards are
+ * matched by id and two cards sharing one would pair with each other
+ * @param {Object} config - Config with defaults filled in
+ * @returns {Object} { errors, warnings } in the validator's { path, message } form
+ */
+export function checkConfig(config) {
+  const errors = [];
+  const ids = new Set();
+  (config.cards || []).forEach((card, index) => {
+    if (ids.has(String(card.id))) {
+      errors.push({ path: `$.cards[${index}].id`, message: `Duplicate card id '${card.id}'` });
+    }
+    ids.add(String(card.id));
+  });
+  return { errors, warnings: [] };
+}
+
+export function startGame(config, container, context = {}) {
+  const settings = { ...DEFAULTS, ...(config.settings || {}) };
+  const emit = context.emit || (() => {});
+  const track = context.track || (() => {});
+  const playSound = context.playSound || (() => {});
+  // Mismatch and hint delays; they wait while the game is paused
+  const timers = AnimationUtils.createTimers();
+  let state;
+  let status;
+  let wrapper;
+  let releaseKeyboard = () => {};
+
+  deal();
+
+  function deal() {
+    timers.clear();
+    releaseKeyboard();
+    container.innerHTML = '';
+
+    // Pick the cards for this round and deal each one twice
+    const pool = config.cards.length > settings.pairCount
+      ? ArrayUtils.randomItems(config.cards, settings.pairCount)
+      : config.cards;
+    const deck = ArrayUtils.createPairs(pool);
+
+    state = {
+      attempts: 0,
+      matches: 0,
+      totalPairs: pool.length,
+      startedAt: Date.now(),
+      pausedAt: null,
+      pausedMs: 0,
+      open: [],
+      locked: false,
+      finished: false
+    };
+
+    // Title
+    const title = DOMUtils.createElement('h2', { className: 'memory-title' }, config.title || 'Memory Match');
+    title.style.textAlign = 'center';
+    container.appendChild(title);
+
+    status = DOMUtils.createElement('p', { className: 'memory-status' });
+    container.appendChild(status);
+    updateStatus(status, state);
+
+    // Cards wrapper
+    wrapper = DOMUtils.createElement('div', { className: 'cards-wrapper memory-match' });
+    deck.forEach((cardData, index) => {
+      const card = createCard(cardData, index);
+      card.addEventListener('click', () => flip(card, cardData));
+      wrapper.appendChild(card);
+    });
+    container.appendChild(wrapper);
+    releaseKeyboard = A11yUtils.makeCardGrid(wrapper);
+  }
+
+  function flip(card, cardData) {
+    if (state.locked || state.pausedAt || card.classList.contains('flipped')) return;
+
+    card.classList.add('flipped');
+    playSound('flip');
+    A11yUtils.announce(cardData.message || t('games.memoryMatch.imageCard', { id: cardData.id }));
+    track('card_flipped', { cardId: cardData.id, message: cardData.message || '' });
+    state.open.push(card);
+    if (state.open.length < 2) return;
+
+    state.attempts++;
+    emit('move');
+    const [first, second] = state.open;
+    state.open = [];
+
+    if (first.dataset.id === second.dataset.id) {
+      first.classList.add('matched');
+      second.classList.add('matched');
+      playSound('match');
+      A11yUtils.announce(t('games.memoryMatch.matched'));
+      state.matches++;
+      updateStatus(status, state);
+      if (state.matches === state.totalPairs) {
+        state.finished = true;
+        emit('complete', finishGame(state, settings));
+      }
+      return;
+    }
+
+    // Not a pair: give the player a moment to memorise, then turn back
+    playSound('error');
+    A11yUtils.announce(t('games.memoryMatch.noMatch'));
+    state.locked = true;
+    updateStatus(status, state);
+    timers.later(() => {
+      first.classList.remove('flipped');
+      second.classList.remove('flipped');
+      state.locked = false;
+    }, settings.mismatchDelayMs);
+  }
+
+  return {
+    pause() {
+      if (state.pausedAt || state.finished) return;
+      state.pausedAt = Date.now();
+      timers.hold();
+      wrapper.classList.add('paused');
+    },
+
+    resume() {
+      if (!state.pausedAt) return;
+      state.pausedMs += Date.now() - state.pausedAt;
+      state.pausedAt = null;
+      timers.resume();
+      wrapper.classList.remove('paused');
+    },
+
+    restart() {
+      deal();
+    },
+
+    // Briefly show one pair the player has not found yet
+    hint() {
+      if (state.locked || state.pausedAt || state.finished) return;
+      // Only pairs with neither card face up, so the hint never turns an open card's partner down
+      const openIds = state.open.map(card => card.dataset.id);
+      const hidden = [...wrapper.querySelectorAll('.card:not(.matched)')]
+        .filter(card => !openIds.includes(card.dataset.id));
+      if (hidden.length === 0) return;
+
+      const { id } = ArrayUtils.randomItem(hidden).dataset;
+      const pair = hidden.filter(card => card.dataset.id === id);
+      state.locked = true;
+      pair.forEach(card => card.classList.add('flipped', 'hinted'));
+      timers.later(() => {
+        pair.forEach(card => card.classList.remove('flipped', 'hinted'));
+        state.locked = false;
+      }, settings.hintMs);
+    },
+
+    destroy() {
+      timers.clear();
+      releaseKeyboard();
+      container.innerHTML = '';
+    }
+  };
+}
+
+function createCard(cardData, index) {
+  const card = DOMUtils.createElement('div', {
+    className: 'card',
+    dataset: { id: cardData.id, index },
+    'aria-label': t('games.memoryMatch.card', { number: index + 1 })
+  });
+
+  const inner = DOMUtils.createElement('div', { className: 'card-inner' });
+  const back = DOMUtils.createElement('div', { className: 'card-face card-back' });
+  const front = DOMUtils.createElement('div', { className: 'card-face card-front' });
+
+  const image = AssetUtils.resolve(cardData.frontImage);
+  if (image) {
+    front.style.backgroundImage = `url('${image}')`;
+    front.classList.add('has-image');
+  }
+  if (cardData.message) {
+    front.appendChild(DOMUtils.createElement('div', { className: 'card-text' }, cardData.message));
+  }
+
+  inner.appendChild(back);
+  inner.appendChild(front);
+  card.appendChild(inner);
+  return card;
+}
+
+function updateStatus(status, state) {
+  status.textContent = t('games.memoryMatch.pairs', { matches: state.matches, total: state.totalPairs });
+}
+
+function finishGame(state, settings) {
+  const timeMs = Date.now() - state.startedAt - state.pausedMs;
+  const seconds = Math.round(timeMs / 1000);
+  const score = GameStateUtils.calculateScore.timeAndAttempts(
+    settings.baseScore,
+    seconds,
+    state.attempts - state.totalPairs, // only wasted attempts cost points
+    settings.scoring
+  );
+
+  return {
+    score,
+    attempts: state.attempts,
+    timeMs,
+    message: t('games.memoryMatch.complete')
+  };
+}
@@ -0,0 +1,299 @@
+// games/puzzle.js
+import { DOMUtils, A11yUtils, AssetUtils, GameStateUtils, AnimationUtils } from '../main.js';
+import { t } from '../i18n.js';
+
+// A sliding-tile puzzle: the config's image is sliced into a gridSize x gridSize
+// board with one gap, and the player slides tiles into the gap until the
+// picture is whole. The board is scrambled by a random walk from the solved
+// state, so every deal can be solved.
+
+const DEFAULTS = {
+  gridSize: 3,
+  shuffleMoves: 80,
+  showNumbers: false,
+  showPreview: true,
+  hintMs: 1500,
+  baseScore: 1000,
+  // Puzzles take many more moves than memory-match takes attempts
+  scoring: { attemptPenalty: 0.005 }
+};
+
+// Arrow key → [row, column] offset of the tile that slides into the gap
+const KEY_OFFSETS = {
+  ArrowUp: [1, 0],
+  ArrowDown: [-1, 0],
+  ArrowLeft: [0, 1],
+  ArrowRight: [0, -1]
+};
+
+// Shown in the admin editor's game type list
+export const meta = {
+  label: 'Sliding Puzzle',
+  description: 'A picture cut into tiles; players slide them back into place. Scored on time and moves.'
+};
+
+// JSON Schema for puzzle configs (checked by the loader and the admin editor)
+export const schema = {
+  type: 'object',
+  required: ['gameType', 'image'],
+  properties: {
+    gameType: { type: 'string', enum: ['puzzle'] },
+    theme: { type: 'string' },
+    sounds: { type: 'object' },
+    title: { type: 'string', default: 'Puzzle' },
+    image: {
+      type: 'string', title: 'Puzzle image', minLength: 1,
+      description: 'A square picture works best. Bare file names are looked up in assets/cards/.'
+    },
+    settings: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        gridSize: { type: 'integer', title: 'Tiles per side', minimum: 2, maximum: 6, default: DEFAULTS.gridSize },
+        shuffleMoves: {
+          type: 'integer', title: 'Shuffle moves', minimum: 1, maximum: 1000, default: DEFAULTS.shuffleMoves,
+          description: 'How many random slides scramble the board. More is harder.'
+        },
+        showNumbers: { type: 'boolean', title: 'Number the tiles', default: DEFAULTS.showNumbers },
+        showPreview: { type: 'boolean', title: 'Show the finished picture', default: DEFAULTS.showPreview },
+        hintMs: { type: 'integer', title: 'Hint display time (ms)', minimum: 0, maximum: 10000, default: DEFAULTS.hintMs },
+        baseScore: { type: 'integer', title: 'Base score', minimum: 0, default: DEFAULTS.baseScore },
+        scoring: {
+          type: 'object',
+          title: 'Scoring',
+          default: {},
+          additionalProperties: false,
+          properties: {
+            timeBonus: { type: 'number', title: 'Time bonus multiplier', minimum: 0, default: 1 },
+            attemptPenalty: { type: 'number', title: 'Penalty per extra move', minimum: 0, default: DEFAULTS.scoring.attemptPenalty },
+            maxBonus: { type: 'number', title: 'Maximum time bonus', minimum: 0, default: 2 }
+          }
+        }
+      }
+    }
+  }
+};
+
+export function startGame(config, container, context = {}) {
+  const settings = { ...DEFAULTS, ...(config.settings || {}) };
+  const size = settings.gridSize;
+  const image = AssetUtils.resolve(config.image);
+  const emit = context.emit || (() => {});
+  const playSound = context.playSound || (() => {});
+  // How long a hint shows; it waits while the game is paused
+  const timers = AnimationUtils.createTimers();
+  let state;
+  let board;
+  let tiles;
+
+  deal();
+
+  function deal() {
+    timers.clear();
+    container.innerHTML = '';
+
+    state = {
+      // cells[position] is the tile number there, or null for the gap
+      cells: scramble(size, settings.shuffleMoves),
+      moves: 0,
+      startedAt: Date.now(),
+      pausedAt: null,
+      pausedMs: 0,
+      finished: false
+    };
+
+    const title = DOMUtils.createElement('h2', { className: 'puzzle-title' }, config.title || 'Puzzle');
+    title.style.textAlign = 'center';
+    container.appendChild(title);
+
+    board = DOMUtils.createElement('div', {
+      className: 'puzzle-board',
+      role: 'group',
+      'aria-label': t('games.puzzle.board', { size })
+    });
+    board.style.setProperty('--puzzle-size', size);
+    board.style.setProperty('--puzzle-image', `url('${image}')`);
+    tiles = Array.from({ length: size * size - 1 }, (_, tile) => createTile(tile));
+    tiles.forEach(element => board.appendChild(element));
+    board.addEventListener('keydown', onKey);
+
+    const layout = DOMUtils.createElement('div', { className: 'puzzle' }, [board]);
+    if (settings.showPreview) {
+      layout.appendChild(DOMUtils.createElement('img', {
+        className: 'puzzle-preview',
+        src: image,
+        alt: t('games.puzzle.preview')
+      }));
+    }
+    container.appendChild(layout);
+    container.appendChild(DOMUtils.createElement('p', { className: 'puzzle-hint-text' }, t('games.puzzle.instructions')));
+    place();
+  }
+
+  function createTile(tile) {
+    const row = Math.floor(tile / size);
+    const col = tile % size;
+    const element = DOMUtils.createElement('button', {
+      type: 'button',
+      className: 'puzzle-tile',
+      dataset: { tile }
+    }, settings.showNumbers ? [DOMUtils.createElement('span', { className: 'puzzle-number' }, String(tile + 1))] : []);
+    // Each tile shows its own slice of the picture
+    element.style.backgroundImage = `url('${image}')`;
+    element.style.backgroundSize = `${size * 100}% ${size * 100}%`;
+    element.style.backgroundPosition = `${(col / (size - 1)) * 100}% ${(row / (size - 1)) * 100}%`;
+    element.addEventListener('click', () => slide(positionOf(tile)));
+    return element;
+  }
+
+  // Move every tile to its current cell; only tiles next to the gap can be focused
+  function place() {
+    const gap = state.cells.indexOf(null);
+    state.cells.forEach((tile, position) => {
+      if (tile === null) return;
+      const element = tiles[tile];
+      const movable = isNeighbour(position, gap) && !state.finished;
+      element.style.transform = `translate(${(position % size) * 100}%, ${Math.floor(position / size) * 100}%)`;
+      element.tabIndex = movable ? 0 : -1;
+      element.setAttribute('aria-disabled', String(!movable));
+      element.setAttribute('aria-label', t('games.puzzle.tile', {
+        number: tile + 1,
+        row: Math.floor(position / size) + 1,
+        column: (position % size) + 1
+      }));
+    });
+  }
+
+  function slide(position) {
+    if (state.finished || state.pausedAt) return;
+    const gap = state.cells.indexOf(null);
+    if (!isNeighbour(position, gap)) return;
+
+    state.cells[gap] = state.cells[position];
+    state.cells[position] = null;
+    state.moves++;
+    emit('move');
+    playSound('flip');
+    place();
+
+    if (isSolved(state.cells)) {
+      state.finished = true;
+      place();
+      board.classList.add('solved');
+      const result = finishGame();
+      A11yUtils.announce(result.message);
+      emit('complete', result);
+    }
+  }
+
+  function onKey(event) {
+    const offset = KEY_OFFSETS[event.key];
+    if (!offset) return;
+    event.preventDefault();
+    const gap = state.cells.indexOf(null);
+    const row = Math.floor(gap / size) + offset[0];
+    const col = (gap % size) + offset[1];
+    if (row < 0 || row >= size || col < 0 || col >= size) return;
+    const position = row * size + col;
+    const tile = state.cells[position];
+    slide(position);
+    tiles[tile].focus();
+  }
+
+  function positionOf(tile) {
+    return state.cells.indexOf(tile);
+  }
+
+  function isNeighbour(a, b) {
+    const rowDistance = Math.abs(Math.floor(a / size) - Math.floor(b / size));
+    const colDistance = Math.abs((a % size) - (b % size));
+    return rowDistance + colDistance === 1;
+  }
+
+  function finishGame() {
+    const timeMs = Date.now() - state.startedAt - state.pausedMs;
+    const score = GameStateUtils.calculateScore.timeAndAttempts(
+      settings.baseScore,
+      Math.round(timeMs / 1000),
+      // The scramble took at most shuffleMoves, so only moves past that cost points
+      Math.max(0, state.moves - settings.shuffleMoves),
+      { ...DEFAULTS.scoring, ...settings.scoring }
+    );
+    return {
+      score,
+      attempts: state.moves,
+      timeMs,
+      message: t('games.puzzle.solved', { count: state.moves })
+    };
+  }
+
+  return {
+    pause() {
+      if (state.pausedAt || state.finished) return;
+      state.pausedAt = Date.now();
+      timers.hold();
+      board.classList.add('paused');
+    },
+
+    resume() {
+      if (!state.pausedAt) return;
+      state.pausedMs += Date.now() - state.pausedAt;
+      state.pausedAt = null;
+      timers.resume();
+      board.classList.remove('paused');
+    },
+
+    restart() {
+      deal();
+    },
+
+    // Briefly lay the finished picture over the board
+    hint() {
+      if (state.finished || state.pausedAt || board.classList.contains('hinted')) return;
+      board.classList.add('hinted');
+      timers.later(() => board.classList.remove('hinted'), settings.hintMs);
+    },
+
+    destroy() {
+      timers.clear();
+      container.innerHTML = '';
+    }
+  };
+}
+
+/**
+ * A solvable scrambled board: random slides from the solved state, never
+ * undoing the previous slide, repeated until the board is out of order
+ * @param {number} size - Tiles per side
+ * @param {number} moves - Number of slides
+ * @returns {Array<number|null>} Tile number per position, null for the gap
+ */
+export function scramble(size, moves) {
+  const cells = Array.from({ length: size * size }, (_, index) => (index < size * size - 1 ? index : null));
+  do {
+    let gap = cells.indexOf(null);
+    let previous = -1;
+    for (let i = 0; i < moves; i++) {
+      const options = neighbours(gap, size).filter(position => position !== previous);
+      const position = options[Math.floor(Math.random() * options.length)];
+      cells[gap] = cells[position];
+      cells[position] = null;
+      previous = gap;
+      gap = position;
+    }
+  } while (isSolved(cells));
+  return cells;
+}
+
+function neighbours(position, size) {
+  const row = Math.floor(position / size);
+  const col = position % size;
+  return [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]]
+    .filter(([r, c]) => r >= 0 && r < size && c >= 0 && c < size)
+    .map(([r, c]) => r * size + c);
+}
+
+function isSolved(cells) {
+  return cells.every((tile, position) => (position === cells.length - 1 ? tile === null : tile === position));
+}
@@ -0,0 +1,408 @@
+// games/quiz.js
+import { DOMUtils, A11yUtils, AssetUtils } from '../main.js';
+import { t } from '../i18n.js';
+
+// A personality quiz. Each answer adds weights to result profiles and the
+// profile with the highest total is the result (ties go to the profile listed
+// first). Questions are asked in order unless they branch:
+//   - "next" on an answer or a question jumps to that question id ("end" finishes);
+//     an answer's "next" wins over its question's
+//   - "when": { "<questionId>": ["<answerId>", ...] } only asks the question if
+//     every listed question was answered with one of the listed answers
+// "multiple" questions accept up to maxChoices answers; every chosen answer
+// adds its weights, and the first chosen answer with a "next" decides the jump.
+
+export const END = 'end';
+
+const DEFAULTS = {
+  showProgress: true,
+  allowBack: true
+};
+
+// Shown in the admin editor's game type list
+export const meta = {
+  label: 'Personality Quiz',
+  description: 'Questions whose answers add up to a result profile, with optional branching.'
+};
+
+const ID = { type: ['integer', 'string'] };
+
+// JSON Schema for quiz configs (checked by the loader and the admin editor)
+export const schema = {
+  type: 'object',
+  required: ['gameType', 'profiles', 'questions'],
+  properties: {
+    gameType: { type: 'string', enum: ['quiz'] },
+    theme: { type: 'string' },
+    sounds: { type: 'object' },
+    title: { type: 'string', default: 'Quiz' },
+    intro: { type: 'string', title: 'Introduction', description: 'Shown above the first question.' },
+    profiles: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'title', 'message'],
+        properties: {
+          id: ID,
+          title: { type: 'string', minLength: 1 },
+          message: { type: 'string', minLength: 1 },
+          image: { type: 'string' }
+        }
+      }
+    },
+    questions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'text', 'answers'],
+        properties: {
+          id: ID,
+          text: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: ['single', 'multiple'], default: 'single' },
+          maxChoices: { type: 'integer', minimum: 1 },
+          next: ID,
+          when: { type: 'object' },
+          answers: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['id', 'text'],
+              properties: {
+                id: ID,
+                text: { type: 'string', minLength: 1 },
+                weights: { type: 'object', default: {} },
+                next: ID
+              }
+            }
+          }
+        }
+      }
+    },
+    settings: {
+      type: 'object',
+      default: {},
+      additionalProperties: false,
+      properties: {
+        showProgress: { type: 'boolean', title: 'Show question progress', default: DEFAULTS.showProgress },
+        allowBack: { type: 'boolean', title: 'Allow going back', default: DEFAULTS.allowBack }
+      }
+    }
+  }
+};
+
+/**
+ * Checks the schema can't express: ids are unique, weights name real profiles,
+ * branches point forward at real questions and conditions name earlier answers
+ * @param {Object} config - Config with defaults filled in
+ * @returns {Object} { errors, warnings } in the validator's { path, message } form
+ */
+export function checkConfig(config) {
+  const errors = [];
+  const warnings = [];
+  const profileIds = new Set();
+  const questionIds = new Set();
+  const questionIndex = new Map();
+
+  (config.profiles || []).forEach((profile, index) => {
+    if (profileIds.has(String(profile.id))) {
+      errors.push({ path: `$.profiles[${index}].id`, message: `Duplicate profile id '${profile.id}'` });
+    }
+    profileIds.add(String(profile.id));
+  });
+  (config.questions || []).forEach((question, index) => {
+    if (questionIds.has(String(question.id))) {
+      errors.push({ path: `$.questions[${index}].id`, message: `Duplicate question id '${question.id}'` });
+    }
+    questionIds.add(String(question.id));
+    if (!questionIndex.has(String(question.id))) questionIndex.set(String(question.id), index);
+  });
+
+  // Jumps only go forward, so every path through the quiz reaches the end
+  const checkNext = (next, from, path) => {
+    if (next === undefined || String(next) === END) return;
+    if (!questionIds.has(String(next))) {
+      errors.push({ path, message: `Unknown question '${next}' (use a question id or '${END}')` });
+    } else if (questionIndex.get(String(next)) <= from) {
+      errors.push({ path, message: `'${next}' is not after this question; jumps can only go forward` });
+    }
+  };
+
+  (config.questions || []).forEach((question, q) => {
+    const path = `$.questions[${q}]`;
+    checkNext(question.next, q, `${path}.next`);
+    // A condition can only look back: a later question hasn't been answered yet
+    Object.keys(question.when || {}).forEach(id => {
+      if (!questionIds.has(id)) {
+        errors.push({ path: `${path}.when`, message: `Unknown question '${id}'` });
+      } else if (questionIndex.get(id) >= q) {
+        errors.push({ path: `${path}.when.${id}`, message: `'${id}' is not before this question, so it is never answered in time` });
+      } else if (!Array.isArray(question.when[id])) {
+        errors.push({ path: `${path}.when.${id}`, message: 'Expected a list of answer ids' });
+      } else {
+        const earlier = config.questions[questionIndex.get(id)];
+        const known = new Set((earlier.answers || []).map(answer => String(answer.id)));
+        question.when[id].forEach((answerId, a) => {
+          if (!known.has(String(answerId))) {
+            errors.push({ path: `${path}.when.${id}[${a}]`, message: `Question '${id}' has no answer '${answerId}'` });
+          }
+        });
+      }
+    });
+
+    const answerIds = new Set();
+    (question.answers || []).forEach((answer, a) => {
+      const answerPath = `${path}.answers[${a}]`;
+      if (answerIds.has(String(answer.id))) {
+        errors.push({ path: `${answerPath}.id`, message: `Duplicate answer id '${answer.id}'` });
+      }
+      answerIds.add(String(answer.id));
+      checkNext(answer.next, q, `${answerPath}.next`);
+      Object.entries(answer.weights || {}).forEach(([profile, weight]) => {
+        if (!profileIds.has(profile)) {
+          errors.push({ path: `${answerPath}.weights.${profile}`, message: `Unknown profile '${profile}'` });
+        } else if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+          errors.push({ path: `${answerPath}.weights.${profile}`, message: 'Expected a number' });
+        }
+      });
+    });
+    if (question.type === 'multiple' && question.maxChoices > (question.answers || []).length) {
+      warnings.push({ path: `${path}.maxChoices`, message: 'More than the number of answers' });
+    }
+  });
+
+  const weighted = new Set((config.questions || []).flatMap(question =>
+    (question.answers || []).flatMap(answer => Object.keys(answer.weights || {}))));
+  (config.profiles || []).forEach((profile, index) => {
+    if (!weighted.has(String(profile.id))) {
+      warnings.push({ path: `$.profiles[${index}]`, message: `No answer gives weight to '${profile.id}', so it can only win a tie` });
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Total the weights of the given answers and pick the winning profile
+ * @param {Object} config - Quiz config
+ * @param {Array<Object>} chosen - Answer objects the player picked
+ * @returns {Object} { profile, totals: { profileId: total } }
+ */
+export function scoreQuiz(config, chosen) {
+  const totals = Object.fromEntries(config.profiles.map(profile => [String(profile.id), 0]));
+  chosen.forEach(answer => {
+    Object.entries(answer.weights || {}).forEach(([id, weight]) => {
+      if (id in totals) totals[id] += Number(weight) || 0;
+    });
+  });
+  const profile = config.profiles.reduce((best, candidate) =>
+    (totals[String(candidate.id)] > totals[String(best.id)] ? candidate : best));
+  return { profile, totals };
+}
+
+/**
+ * The result a shared link (?card=<id>) points at: a profile
+ * @param {Object} config - Quiz config
+ * @param {string} shareId - The profile's id
+ * @returns {Object|null} The result without totals, or null for an unknown profile
+ */
+export function sharedResult(config, shareId) {
+  const profile = (config.profiles || []).find(item => String(item.id) === String(shareId));
+  return profile ? profileResult(profile) : null;
+}
+
+export function startGame(config, container, context = {}) {
+  const settings = { ...DEFAULTS, ...(config.settings || {}) };
+  const emit = context.emit || (() => {});
+  const track = context.track || (() => {});
+  const playSound = context.playSound || (() => {});
+  const questions = config.questions;
+  const byId = new Map(questions.map(question => [String(question.id), question]));
+
+  // Questions answered so far, in order: { question, answers: [answer...] }
+  let history = [];
+  let finished = false;
+
+  const root = DOMUtils.createElement('div', { className: 'quiz' });
+  container.appendChild(root);
+
+  function begin() {
+    history = [];
+    finished = false;
+    show(firstAskable(0));
+  }
+
+  // Next question to ask at or after index, skipping those whose "when" fails
+  function firstAskable(index) {
+    for (let i = index; i < questions.length; i++) {
+      if (shouldAsk(questions[i])) return questions[i];
+    }
+    return null;
+  }
+
+  function shouldAsk(question) {
+    return Object.entries(question.when || {}).every(([id, answerIds]) => {
+      const entry = history.find(item => String(item.question.id) === id);
+      return Boolean(entry) && entry.answers.some(answer => answerIds.map(String).includes(String(answer.id)));
+    });
+  }
+
+  function nextQuestion(question, answers) {
+    const jump = answers.map(answer => answer.next).find(next => next !== undefined);
+    const target = jump !== undefined ? jump : question.next;
+    if (target !== undefined) {
+      if (String(target) === END) return null;
+      const targetQuestion = byId.get(String(target));
+      // A backward jump would loop forever (checkConfig rejects them); fall through instead
+      if (targetQuestion && questions.indexOf(targetQuestion) > questions.indexOf(question)) {
+        return shouldAsk(targetQuestion) ? targetQuestion : firstAskable(questions.indexOf(targetQuestion) + 1);
+      }
+    }
+    return firstAskable(questions.indexOf(question) + 1);
+  }
+
+  function answer(question, answers) {
+    history.push({ question, answers });
+    emit('move');
+    playSound('flip');
+    track('quiz_answered', { questionId: question.id, answerIds: answers.map(item => item.id) });
+    const next = nextQuestion(question, answers);
+    if (next) {
+      show(next);
+    } else {
+      finish();
+    }
+  }
+
+  function back() {
+    const previous = history.pop();
+    if (previous) show(previous.question, previous.answers);
+  }
+
+  function show(question, selected = []) {
+    if (!question) {
+      finish();
+      return;
+    }
+    root.innerHTML = '';
+    root.appendChild(DOMUtils.createElement('h2', { className: 'quiz-title' }, config.title || 'Quiz'));
+    if (history.length === 0 && config.intro) {
+      root.appendChild(DOMUtils.createElement('p', { className: 'quiz-intro' }, config.intro));
+    }
+    if (settings.showProgress) {
+      // Branches can skip questions, so this counts the most that could be left
+      const remaining = questions.length - questions.indexOf(question);
+      root.appendChild(DOMUtils.createElement('p', { className: 'quiz-progress' },
+        t('games.quiz.progress', { number: history.length + 1, count: history.length + remaining })));
+    }
+
+    const multiple = question.type === 'multiple';
+    const maxChoices = multiple ? Math.min(question.maxChoices || question.answers.length, question.answers.length) : 1;
+    const heading = DOMUtils.createElement('legend', { className: 'quiz-question', tabindex: '-1' }, question.text);
+    const form = DOMUtils.createElement('form', { className: 'quiz-form' });
+    const fieldset = DOMUtils.createElement('fieldset', { className: 'quiz-answers' }, [heading]);
+    if (multiple) {
+      fieldset.appendChild(DOMUtils.createElement('p', { className: 'quiz-hint' },
+        t('games.quiz.chooseUpTo', { count: maxChoices })));
+    }
+
+    const inputs = question.answers.map((item, index) => {
+      const input = DOMUtils.createElement('input', {
+        type: multiple ? 'checkbox' : 'radio',
+        name: `quiz-${question.id}`,
+        id: `quiz-${question.id}-${index}`,
+        value: String(index)
+      });
+      input.checked = selected.includes(item);
+      fieldset.appendChild(DOMUtils.createElement('label', { className: 'quiz-answer', for: input.id }, [
+        input,
+        DOMUtils.createElement('span', {}, item.text)
+      ]));
+      return input;
+    });
+
+    const submit = DOMUtils.createElement('button', { type: 'submit', className: 'modal-btn quiz-next' },
+      t(isLast(question) ? 'games.quiz.finish' : 'games.quiz.next'));
+    const chosen = () => inputs.filter(input => input.checked).map(input => question.answers[Number(input.value)]);
+    const update = () => {
+      const count = chosen().length;
+      submit.disabled = count === 0;
+      if (multiple) {
+        inputs.forEach(input => {
+          input.disabled = !input.checked && count >= maxChoices;
+        });
+      }
+    };
+    inputs.forEach(input => input.addEventListener('change', update));
+    update();
+
+    const actions = DOMUtils.createElement('div', { className: 'quiz-actions' });
+    if (settings.allowBack && history.length > 0) {
+      const backBtn = DOMUtils.createElement('button', { type: 'button', className: 'modal-btn secondary quiz-back' }, t('games.quiz.back'));
+      backBtn.addEventListener('click', back);
+      actions.appendChild(backBtn);
+    }
+    actions.appendChild(submit);
+
+    form.append(fieldset, actions);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const answers = chosen();
+      if (answers.length > 0) answer(question, answers);
+    });
+    root.appendChild(form);
+    heading.focus();
+  }
+
+  // Whether every answer ends the quiz (any mix of answers leads where one of them would)
+  function isLast(question) {
+    return question.answers.every(item => {
+      history.push({ question, answers: [item] });
+      const next = nextQuestion(question, [item]);
+      history.pop();
+      return next === null;
+    });
+  }
+
+  function finish() {
+    if (finished) return;
+    finished = true;
+    const { profile, totals } = scoreQuiz(config, history.flatMap(entry => entry.answers));
+    const image = AssetUtils.resolve(profile.image);
+
+    root.innerHTML = '';
+    root.appendChild(DOMUtils.createElement('div', { className: 'quiz-result' }, [
+      DOMUtils.createElement('p', { className: 'quiz-progress' }, t('games.quiz.result')),
+      DOMUtils.createElement('h2', { className: 'quiz-result-title', tabindex: '-1' }, profile.title),
+      ...(image ? [DOMUtils.createElement('img', { className: 'quiz-result-image', src: image, alt: '' })] : []),
+      DOMUtils.createElement('p', { className: 'quiz-result-message' }, profile.message)
+    ]));
+    root.querySelector('.quiz-result-title').focus();
+    A11yUtils.announce(`${profile.title}. ${profile.message}`);
+    emit('complete', { ...profileResult(profile), totals });
+  }
+
+  begin();
+
+  return {
+    restart() {
+      begin();
+    },
+
+    destroy() {
+      container.innerHTML = '';
+    }
+  };
+}
+
+function profileResult(profile) {
+  return {
+    title: profile.title,
+    message: profile.message,
+    image: AssetUtils.resolve(profile.image),
+    profile: profile.id,
+    shareId: profile.id
+  };
+}
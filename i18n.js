@@ -0,0 +1,317 @@
+// i18n.js
+// Languages for player-facing text.
+//
+// Two kinds of text are translated:
+//   - Loader and toolbar strings live in locales/<code>.json, listed in
+//     locales/index.json. Look them up with t('controls.pause'); markup in
+//     index.html is tagged with data-i18n="key" (text) and
+//     data-i18n-attrs="aria-label:key; title:key" (attributes).
+//   - Config text (titles, card messages...) may be a map by locale instead of
+//     a string, e.g. "message": { "en": "Focus brings clarity.", "pt": "..." }.
+//     localizeConfig() picks one language before the config is validated.
+//     Only keys that are languages of the config ("locales") or of the UI
+//     (locales/index.json) make a map translated text, so maps such as
+//     "sounds": { "win": "fanfare.mp3" } stay as they are.
+//
+// The language comes from ?lang=, then the browser's languages, then the
+// config's own "locales" list (its first entry is the game's default), then
+// English. Regional tags fall back to their base language (pt-BR -> pt).
+
+export const DEFAULT_LOCALE = 'en';
+
+// Languages written right to left; <html dir> follows the chosen UI language
+export const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// Config maps keyed by names rather than languages; never translated
+const NON_TEXT_KEYS = ['sounds', 'weights', 'when'];
+
+// UI languages from locales/index.json, once initI18n() has read it
+let uiLocales = [DEFAULT_LOCALE];
+
+export class I18nError extends Error {
+  constructor(message, type = 'I18N_ERROR') {
+    super(message);
+    this.name = 'I18nError';
+    this.type = type;
+  }
+}
+
+/**
+ * Tidy a language tag: "pt_br" -> "pt-BR"
+ * @param {string} tag - Language tag
+ * @returns {string|null} Normalized tag, or null if it isn't one
+ */
+export function normalizeLocale(tag) {
+  const text = String(tag || '').trim().replace(/_/g, '-');
+  if (!LOCALE_PATTERN.test(text)) return null;
+  const [language, ...rest] = text.split('-');
+  return [language.toLowerCase(), ...rest.map(part => (part.length === 2 ? part.toUpperCase() : part))].join('-');
+}
+
+/**
+ * A tag followed by its less specific forms: "pt-BR" -> ["pt-BR", "pt"]
+ * @param {string} tag - Language tag
+ * @returns {Array<string>}
+ */
+export function expandLocale(tag) {
+  const normalized = normalizeLocale(tag);
+  if (!normalized) return [];
+  const parts = normalized.split('-');
+  return parts.map((_, i) => parts.slice(0, parts.length - i).join('-'));
+}
+
+/**
+ * Languages the player prefers, most preferred first
+ * @param {Object} options
+ * @param {string} [options.search] - Query string holding ?lang= (default: location.search)
+ * @param {Array<string>} [options.languages] - Browser languages (default: navigator.languages)
+ * @returns {Array<string>} Expanded, de-duplicated tags
+ */
+export function getPreferredLocales({
+  search = typeof location !== 'undefined' ? location.search : '',
+  languages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : []
+} = {}) {
+  const requested = new URLSearchParams(search).get('lang');
+  return unique([requested, ...languages].filter(Boolean).flatMap(expandLocale));
+}
+
+/**
+ * Whether a config value is a map by locale ({ "en": "...", "pt": "..." })
+ * @param {*} value - Config value
+ * @param {Array<string>} [known] - Languages the keys must be (or be a regional form of); any tag if omitted
+ * @returns {boolean}
+ */
+export function isLocaleMap(value, known) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  const isLocale = known
+    ? key => expandLocale(key).some(tag => known.includes(tag))
+    : key => LOCALE_PATTERN.test(key);
+  return keys.length > 0 && keys.every(key => isLocale(key) && typeof value[key] === 'string');
+}
+
+/**
+ * Languages a config's text maps may use: its own "locales" and the UI languages
+ * @param {Object} config - Config as authored
+ * @returns {Array<string>} Normalized tags
+ */
+export function knownLocales(config) {
+  const own = Array.isArray(config.locales) ? config.locales : [];
+  return unique([...own, ...uiLocales].map(normalizeLocale).filter(Boolean));
+}
+
+/**
+ * Pick one language from a locale map; anything else is returned unchanged
+ * @param {*} value - String, locale map or any other config value
+ * @param {Array<string>} locales - Languages to try, in order
+ * @returns {*} The best match, or the map's first entry if none match
+ */
+export function localize(value, locales = []) {
+  if (!isLocaleMap(value)) return value;
+  const byLocale = new Map(Object.keys(value).map(key => [normalizeLocale(key), value[key]]));
+  for (const locale of unique(locales.flatMap(expandLocale))) {
+    if (byLocale.has(locale)) return byLocale.get(locale);
+  }
+  return Object.values(value)[0];
+}
+
+/**
+ * Replace every locale map in a config with one language
+ * @param {Object} config - Config as authored
+ * @param {Array<string>} preferences - Player's languages (getPreferredLocales())
+ * @param {Array<string>} [known] - Languages that make a map translated text (default: knownLocales(config))
+ * @returns {Object} New config with plain strings
+ */
+export function localizeConfig(config, preferences = [], known = knownLocales(config)) {
+  const chain = [...preferences, ...(Array.isArray(config.locales) ? config.locales : []), DEFAULT_LOCALE];
+  const walk = (value) => {
+    if (isLocaleMap(value, known)) return localize(value, chain);
+    if (Array.isArray(value)) return value.map(walk);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, NON_TEXT_KEYS.includes(key) ? item : walk(item)]));
+    }
+    return value;
+  };
+  return walk(config);
+}
+
+/**
+ * Find locale maps missing one of the config's languages (for the admin editor)
+ * @param {Object} config - Config as authored
+ * @param {Array<string>} locales - Languages every translated field should have
+ * @returns {Array<Object>} { path, missing: [locale...] } in the validator's path style
+ */
+export function findMissingTranslations(config, locales = config.locales || []) {
+  const found = [];
+  if (locales.length < 2) return found;
+
+  const known = unique([...locales, ...knownLocales(config)].map(normalizeLocale).filter(Boolean));
+  const walk = (value, path) => {
+    if (isLocaleMap(value, known)) {
+      const missing = locales.filter(locale => !(typeof value[locale] === 'string' && value[locale].trim()));
+      if (missing.length > 0) found.push({ path, missing });
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${path}[${index}]`));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value)
+        .filter(([key]) => !NON_TEXT_KEYS.includes(key))
+        .forEach(([key, item]) => walk(item, `${path}.${key}`));
+    }
+  };
+  walk(config, '$');
+  return found;
+}
+
+/**
+ * Looks up UI strings in one language, falling back through the others
+ */
+export class Translator {
+  /**
+   * @param {string} locale - Language the strings are in
+   * @param {Array<Object>} dictionaries - Parsed locale files, most specific first
+   */
+  constructor(locale = DEFAULT_LOCALE, dictionaries = []) {
+    this.locale = locale;
+    this.dictionaries = dictionaries;
+    this.plurals = new Intl.PluralRules(locale);
+    this.warned = new Set();
+  }
+
+  get dir() {
+    return RTL_LANGUAGES.includes(this.locale.split('-')[0]) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Translate a key, filling in {placeholders}. When params.count is a number
+   * the plural form ("key_one", "key_other"...) is preferred.
+   * @param {string} key - Dotted key, e.g. "loading.theme"
+   * @param {Object} params - Values for {placeholders}
+   * @returns {string} The translation, or the key itself if there is none
+   */
+  t(key, params = {}) {
+    const keys = typeof params.count === 'number'
+      ? [`${key}_${this.plurals.select(params.count)}`, `${key}_other`, key]
+      : [key];
+    for (const dictionary of this.dictionaries) {
+      for (const candidate of keys) {
+        const text = lookup(dictionary, candidate);
+        if (typeof text === 'string') return interpolate(text, params);
+      }
+    }
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      console.warn(`Missing translation for '${key}'`);
+    }
+    return key;
+  }
+
+  /**
+   * Translate markup tagged with data-i18n / data-i18n-attrs
+   * @param {HTMLElement|Document} root - Where to look
+   */
+  translateDocument(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attrs]').forEach(element => {
+      element.dataset.i18nAttrs.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key) element.setAttribute(attribute, this.t(key));
+      });
+    });
+  }
+}
+
+// Shared by the loader and the games; English keys until initI18n() runs
+let active = new Translator();
+
+/**
+ * Translate a UI string in the current language (see Translator.t)
+ */
+export function t(key, params) {
+  return active.t(key, params);
+}
+
+export function getLocale() {
+  return active.locale;
+}
+
+/**
+ * Choose the UI language, load its locale files and apply it to the page
+ * @param {Object} options
+ * @param {Array<string>} [options.preferences] - Languages to try (default: getPreferredLocales())
+ * @param {string} [options.baseUrl] - Folder holding index.json and the locale files
+ * @param {Document} [options.document] - Page to set lang/dir on and translate (null to skip)
+ * @returns {Promise<Translator>}
+ */
+export async function initI18n({
+  preferences = getPreferredLocales(),
+  baseUrl = 'locales/',
+  document: doc = typeof document !== 'undefined' ? document : null
+} = {}) {
+  const available = await listLocales(baseUrl).catch((error) => {
+    console.warn('Could not load the locale list, using English:', error);
+    return [{ code: DEFAULT_LOCALE }];
+  });
+  const codes = available.map(entry => entry.code);
+  uiLocales = unique([DEFAULT_LOCALE, ...codes]);
+  const locale = [...preferences, DEFAULT_LOCALE].find(code => codes.includes(code)) || DEFAULT_LOCALE;
+
+  // "pt-BR" also reads "pt" and English for anything it doesn't translate
+  const chain = unique([...expandLocale(locale), DEFAULT_LOCALE]).filter(code => codes.includes(code));
+  const dictionaries = [];
+  for (const code of chain) {
+    try {
+      dictionaries.push(await fetchJson(`${baseUrl}${code}.json`));
+    } catch (error) {
+      console.warn(`Could not load translations for '${code}':`, error);
+    }
+  }
+
+  active = new Translator(locale, dictionaries);
+  if (doc) {
+    doc.documentElement.lang = locale;
+    doc.documentElement.dir = active.dir;
+    active.translateDocument(doc);
+  }
+  return active;
+}
+
+/**
+ * Languages with UI translations
+ * @param {string} baseUrl - Folder holding index.json
+ * @returns {Promise<Array<Object>>} [{ code, label }]
+ */
+export async function listLocales(baseUrl = 'locales/') {
+  const { locales = [] } = await fetchJson(`${baseUrl}index.json`);
+  return locales;
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new I18nError(`${url}: HTTP ${response.status}`, 'NOT_FOUND');
+  }
+  return response.json();
+}
+
+function lookup(dictionary, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), dictionary);
+}
+
+/**
+ * Fill {name} placeholders; unknown names are left as they are
+ * @param {string} text - Text with placeholders
+ * @param {Object} params - Values by placeholder name
+ * @returns {string}
+ */
+export function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
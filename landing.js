@@ -0,0 +1,220 @@
+// landing.js
+// The game catalog on landing.html, built from config/index.json.
+//
+// Every entry in config/index.json is a published game:
+//   {
+//     "file": "card-flip.json",            // config file in config/
+//     "slug": "card-flip",                 // opens index.html?configName=<slug>
+//     "title": "Pick Your 3C Card",        // string or map by locale
+//     "gameType": "card-flip",
+//     "theme": "theme1",
+//     "description": "...",                // optional, string or map by locale
+//     "thumbnail": "assets/thumbs/x.png",  // optional, relative to the site root
+//     "tags": ["cards", "daily"]           // optional, offered as filters
+//   }
+// Old links such as landing.html?game=card-flip still work: the start button
+// opens that game (?puzzle= and ?challenge= are read the same way).
+import { DOMUtils, StringUtils } from './main.js';
+import { initI18n, t, localize, getPreferredLocales } from './i18n.js';
+
+const DEEP_LINK_PARAMS = ['game', 'puzzle', 'challenge'];
+
+// Shown on tiles without a thumbnail
+const TYPE_ICONS = {
+  'card-flip': '🃏',
+  'memory-match': '🧠',
+  'daily-reveal': '📅',
+  quiz: '❓',
+  puzzle: '🧩',
+  challenge: '⏱️',
+  playlist: '▶️'
+};
+
+/**
+ * Catalog data: loading, filtering and launch URLs
+ */
+class Catalog {
+  static async load(url = 'config/index.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load the game catalog (HTTP ${response.status})`);
+    }
+    const { configs = [] } = await response.json();
+    const locales = getPreferredLocales();
+    return configs
+      .map(entry => this.normalize(entry, locales))
+      .filter(Boolean);
+  }
+
+  // Fill in the slug from the file name and pick one language for the text
+  static normalize(entry, locales) {
+    const slug = entry.slug || String(entry.file || '').replace(/\.json$/, '');
+    if (!/^[a-z0-9-]+$/.test(slug)) {
+      console.warn('Catalog entry without a usable slug is skipped:', entry);
+      return null;
+    }
+    return {
+      ...entry,
+      slug,
+      title: localize(entry.title, locales) || slug,
+      description: localize(entry.description, locales) || '',
+      tags: Array.isArray(entry.tags) ? entry.tags.map(String) : []
+    };
+  }
+
+  /**
+   * Games matching every filter that is set
+   * @param {Array<Object>} games - Normalized entries
+   * @param {Object} filters - { query, gameType, tag }
+   * @returns {Array<Object>}
+   */
+  static filter(games, { query = '', gameType = '', tag = '' } = {}) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return games.filter(game => {
+      if (gameType && game.gameType !== gameType) return false;
+      if (tag && !game.tags.includes(tag)) return false;
+      const text = [game.title, game.description, ...game.tags].join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  static find(games, slug) {
+    return games.find(game => game.slug === slug) || null;
+  }
+
+  static launchUrl(slug) {
+    return `index.html?configName=${encodeURIComponent(slug)}`;
+  }
+
+  // Slug from landing.html?game=... (or the older ?puzzle= / ?challenge=)
+  static deepLink(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const name = DEEP_LINK_PARAMS.map(param => params.get(param)).find(Boolean);
+    return name ? StringUtils.formatSlug(name.replace(/\.json$/, '')) : null;
+  }
+
+  // Translated name for the built-in types; others are titled from the type id
+  static typeLabel(gameType) {
+    return TYPE_ICONS[gameType]
+      ? t(`landing.types.${gameType}`)
+      : StringUtils.toTitleCase(gameType.replace(/-/g, ' '));
+  }
+}
+
+/**
+ * Renders the filters and game tiles into #catalog
+ */
+class CatalogView {
+  static games = [];
+  static filters = { query: '', gameType: '', tag: '' };
+
+  static async initialize() {
+    const startBtn = document.getElementById('startBtn');
+    const list = document.getElementById('catalog-list');
+
+    // Page text is tagged with data-i18n; strings built here use t('landing.*')
+    await initI18n().catch(error => console.warn('Could not load translations, using English:', error));
+    try {
+      this.games = await Catalog.load();
+    } catch (error) {
+      console.error(error);
+      list.textContent = t('landing.loadFailed');
+      startBtn.addEventListener('click', () => this.focusCatalog());
+      return;
+    }
+
+    const linked = Catalog.deepLink();
+    const game = linked && Catalog.find(this.games, linked);
+    if (linked && !game) {
+      console.warn(`Game '${linked}' is not in the catalog`);
+    }
+    startBtn.addEventListener('click', () => {
+      if (game) {
+        window.location.href = Catalog.launchUrl(game.slug);
+      } else {
+        this.focusCatalog();
+      }
+    });
+
+    this.renderFilters();
+    this.render();
+  }
+
+  static renderFilters() {
+    const search = document.getElementById('catalog-search');
+    search.addEventListener('input', () => {
+      this.filters.query = search.value;
+      this.render();
+    });
+
+    const typeSelect = document.getElementById('catalog-type');
+    [...new Set(this.games.map(game => game.gameType))].sort().forEach(type => {
+      typeSelect.appendChild(DOMUtils.createElement('option', { value: type }, Catalog.typeLabel(type)));
+    });
+    typeSelect.addEventListener('change', () => {
+      this.filters.gameType = typeSelect.value;
+      this.render();
+    });
+
+    const tags = document.getElementById('catalog-tags');
+    const allTags = [...new Set(this.games.flatMap(game => game.tags))].sort();
+    ['', ...allTags].forEach(tag => {
+      const chip = DOMUtils.createElement('button', {
+        type: 'button',
+        className: 'tag-chip',
+        'aria-pressed': String(tag === this.filters.tag)
+      }, tag ? `#${tag}` : t('landing.allTags'));
+      chip.addEventListener('click', () => {
+        this.filters.tag = tag;
+        tags.querySelectorAll('.tag-chip').forEach(other => other.setAttribute('aria-pressed', String(other === chip)));
+        this.render();
+      });
+      tags.appendChild(chip);
+    });
+  }
+
+  static render() {
+    const list = document.getElementById('catalog-list');
+    const games = Catalog.filter(this.games, this.filters);
+    list.innerHTML = '';
+    if (games.length === 0) {
+      list.appendChild(DOMUtils.createElement('li', { className: 'catalog-empty' }, t('landing.empty')));
+    }
+    games.forEach(game => list.appendChild(this.renderTile(game)));
+    document.getElementById('catalog-count').textContent =
+      t('landing.count', { shown: games.length, count: this.games.length });
+  }
+
+  static renderTile(game) {
+    let thumbnail;
+    if (game.thumbnail) {
+      thumbnail = DOMUtils.createElement('img', { className: 'tile-thumb', src: game.thumbnail, alt: '', loading: 'lazy' });
+      thumbnail.addEventListener('error', () => thumbnail.replaceWith(this.placeholder(game)), { once: true });
+    } else {
+      thumbnail = this.placeholder(game);
+    }
+
+    const link = DOMUtils.createElement('a', { className: 'game-tile', href: Catalog.launchUrl(game.slug) }, [
+      thumbnail,
+      DOMUtils.createElement('span', { className: 'tile-type' }, Catalog.typeLabel(game.gameType)),
+      DOMUtils.createElement('h3', { className: 'tile-title' }, game.title),
+      ...(game.description ? [DOMUtils.createElement('p', { className: 'tile-desc' }, game.description)] : []),
+      DOMUtils.createElement('span', { className: 'tile-tags' }, game.tags.map(tag => `#${tag}`).join(' '))
+    ]);
+    if (game.theme) link.dataset.theme = game.theme;
+    return DOMUtils.createElement('li', {}, [link]);
+  }
+
+  static placeholder(game) {
+    return DOMUtils.createElement('span', { className: 'tile-thumb tile-placeholder', 'aria-hidden': 'true' },
+      TYPE_ICONS[game.gameType] || '🎮');
+  }
+
+  static focusCatalog() {
+    const catalog = document.getElementById('catalog');
+    catalog.scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('catalog-search').focus({ preventScroll: true });
+  }
+}
+
+CatalogView.initialize();
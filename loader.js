@@ -1,4 +1,12 @@
 // loader.js (enhanced version)
+import { DOMUtils, GameStateUtils, ValidationUtils, AssetUtils, StringUtils } from './main.js';
+import { createDataStore } from './supabase.js';
+import { openPlayerStore, exportPlayerData, importPlayerData } from './storage.js';
+import { createAnalytics } from './analytics.js';
+import { createAudioManager } from './audio.js';
+import { fetchConfig, sanitizeConfig, THEME_NAME_PATTERN } from './remote-config.js';
+import { SHARE_SCHEMA, LINK_PARAM, drawResultCard, toPng, shareResult, shareText, resultLink } from './share.js';
+import { initI18n, t, localize, localizeConfig, isLocaleMap, knownLocales, getPreferredLocales } from './i18n.js';
 
 /**
  * Configuration and URL parameter handling
@@ -8,27 +16,37 @@ class ConfigManager {
     return new URLSearchParams(window.location.search);
   }
 
+  // Every source goes through sanitizeConfig() before anything else reads the config
   static async fetchConfigFromUrlOrName() {
     const urlParams = this.getUrlParams();
-    const configUrl = urlParams.get('configUrl');
-    const configName = urlParams.get('configName') || 'card-flip';
     
     try {
-      if (configUrl) {
-        return await this.fetchFromUrl(configUrl);
-      }
-      return await this.fetchFromName(configName);
+      return sanitizeConfig(await this.fetchFromSource(urlParams));
     } catch (error) {
       throw new ConfigError(`Failed to load configuration: ${error.message}`, error.type);
     }
   }
 
-  static async fetchFromUrl(url) {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  static async fetchFromSource(urlParams) {
+    const configUrl = urlParams.get('configUrl');
+    const slug = urlParams.get('slug');
+    const configName = urlParams.get('configName') || 'card-flip';
+
+    if (urlParams.get('configSource') === 'message') {
+      return EmbedBridge.requestConfig();
     }
-    return response.json();
+    if (configUrl) {
+      return this.fetchFromUrl(configUrl, urlParams.get('integrity'));
+    }
+    if (slug) {
+      return this.fetchFromBackend(slug, urlParams.get('backend') || undefined, urlParams.has('preview'));
+    }
+    return this.fetchFromName(configName);
+  }
+
+  // Only allowed origins, within the size limit and matching integrity if given (see remote-config.js)
+  static async fetchFromUrl(url, integrity = null) {
+    return fetchConfig(url, { integrity });
   }
 
   static async fetchFromName(configName) {
@@ -42,74 +60,311 @@ class ConfigManager {
     return response.json();
   }
 
-  static validateConfig(config) {
-    const required = ['gameType'];
-    const missing = required.filter(field => !config[field]);
-    
-    if (missing.length > 0) {
-      throw new Error(`Missing required config fields: ${missing.join(', ')}`);
+  static isPlaylist(config) {
+    return Boolean(config) && config.gameType === 'playlist';
+  }
+
+  static async fetchPlaylistEntry(entry) {
+    try {
+      if (entry.config) return sanitizeConfig(entry.config);
+      if (entry.configUrl) return sanitizeConfig(await this.fetchFromUrl(entry.configUrl, entry.integrity));
+      if (entry.configName) return sanitizeConfig(await this.fetchFromName(entry.configName));
+    } catch (error) {
+      throw new ConfigError(`Failed to load playlist game: ${error.message}`, error.type);
+    }
+    throw new ConfigError('Playlist games need a configName, configUrl or config', 'PLAYLIST_INVALID');
+  }
+
+  // Published games from the data layer (supabase.js); ?preview also allows drafts
+  static async fetchFromBackend(slug, backend, allowDraft = false) {
+    const record = await createDataStore(backend).loadConfig(slug);
+    if (!record) {
+      throw new Error(`Game '${slug}' not found`);
+    }
+    if (!record.published && !allowDraft) {
+      throw new Error(`Game '${slug}' is not published yet`);
+    }
+    return record.config;
+  }
+
+  // Namespace for the player's saved progress in this game
+  // Taken from the authored (not localized) config so every language shares progress
+  static getSlug(config) {
+    const title = localize(config.title, config.locales || []);
+    return StringUtils.formatSlug(config.slug || title || '') || config.gameType;
+  }
+
+  // Images and sounds the game will use, so they can be preloaded with the theme
+  static getAssetList(config) {
+    return (config.cards || [])
+      .map(card => AssetUtils.resolve(card && card.frontImage))
+      .concat((config.profiles || []).map(profile => AssetUtils.resolve(profile && profile.image)))
+      .concat((config.prompts || []).map(prompt => AssetUtils.resolve(prompt && prompt.image)))
+      .concat(AssetUtils.resolve(config.image))
+      .concat(Object.values(this.getSounds(config)))
+      .filter(Boolean);
+  }
+
+  // The config's own { cue: file } map; bare file names live in assets/sounds/
+  static getSounds(config) {
+    const sounds = config.sounds && typeof config.sounds === 'object' ? config.sounds : {};
+    return Object.fromEntries(Object.entries(sounds)
+      .filter(([, src]) => typeof src === 'string' && src)
+      .map(([cue, src]) => [cue, AssetUtils.resolve(src, 'assets/sounds/')]));
+  }
+
+  // Needed before anything else, since gameType decides which module (and schema) to load
+  static checkGameType(config) {
+    if (!config || typeof config.gameType !== 'string' || !config.gameType) {
+      throw new ConfigValidationError([{ path: '$.gameType', message: 'Missing required field' }]);
+    }
+    if (!/^[a-z0-9-]+$/.test(config.gameType)) {
+      throw new ConfigValidationError([{ path: '$.gameType', message: `Invalid game type '${config.gameType}'` }]);
     }
-    
     return true;
   }
+
+  /**
+   * Validate a config against the schema its game module exports, then run the
+   * module's own checkConfig() (if any) for rules a schema can't express
+   * @returns {Object} Config with defaults filled in
+   */
+  static validateConfig(config, schema, checkConfig = null) {
+    this.checkGameType(config);
+
+    if (!schema) {
+      console.warn(`Game module '${config.gameType}' has no schema; skipping config validation`);
+      return config;
+    }
+
+    const result = ValidationUtils.validateConfig(config, schema);
+    if (result.valid && typeof checkConfig === 'function') {
+      const { errors = [], warnings = [] } = checkConfig(result.config) || {};
+      result.errors.push(...errors);
+      result.warnings.push(...warnings);
+      result.valid = result.errors.length === 0;
+    }
+    if (result.warnings.length > 0) {
+      console.warn('Config warnings:\n' + ValidationUtils.formatIssues(result.warnings).join('\n'));
+      UIManager.showWarnings(result.warnings);
+    }
+    if (!result.valid) {
+      throw new ConfigValidationError(result.errors, result.warnings);
+    }
+    return result.config;
+  }
 }
 
 /**
  * Theme and asset management
+ *
+ * Each theme lives in assets/themes/<name>/ with a theme.json manifest:
+ *   {
+ *     "label": "3C Neon Night",
+ *     "extends": "theme1",                        // optional parent theme
+ *     "images": { "background", "cardBack", "cardFront" },
+ *     "colors": { "primary", "accent", "accentDark", "secondary", "text", "textSecondary" },
+ *     "fonts": { "body", "display", "stylesheet" },
+ *     "cardFront": { "background", "border", "text" },
+ *     "sounds": { "<cue>": "file.mp3" },          // flip, match, win, error, music (see audio.js)
+ *     "cssVars": { "--any-custom-property": "value" }
+ *   }
+ * Paths are relative to the theme's own folder. Values are applied as CSS
+ * custom properties on <html>, overriding the defaults in style.css.
  */
 class ThemeManager {
-  static applyTheme(themeName) {
+  static current = null;
+  static appliedVars = [];
+
+  // Manifest fields -> the style.css custom properties they override
+  static CSS_VARS = {
+    'colors.primary': '--brand-dark-purple',
+    'colors.accent': '--brand-neon-gold',
+    'colors.accentDark': '--brand-gold',
+    'colors.secondary': '--brand-light-blue',
+    'colors.text': '--text-primary',
+    'colors.textSecondary': '--text-secondary',
+    'fonts.body': '--font-body',
+    'fonts.display': '--font-display',
+    'cardFront.background': '--card-front-bg',
+    'cardFront.border': '--card-front-border',
+    'cardFront.text': '--card-front-text'
+  };
+
+  static IMAGE_VARS = {
+    background: '--theme-background-image',
+    cardBack: '--card-back',
+    cardFront: '--card-front-image'
+  };
+
+  static async applyTheme(themeName) {
     if (!themeName) {
       console.warn('No theme specified, using default styling');
-      return;
+      this.clearTheme();
+      return null;
     }
 
-    this.setBackground(themeName);
-    this.setCardBack(themeName);
-    this.preloadThemeAssets(themeName);
+    const manifest = await this.loadManifest(themeName);
+    this.applyManifest(manifest);
+    return manifest;
   }
 
-  static setBackground(themeName) {
-    const bgUrl = `assets/themes/${themeName}/bg.png`;
-    const body = document.body;
-    
-    body.style.backgroundImage = `url('${bgUrl}')`;
-    body.style.backgroundSize = 'cover';
-    body.style.backgroundPosition = 'center';
-    body.style.backgroundRepeat = 'no-repeat';
+  /**
+   * Load a theme manifest, merging in the themes it extends
+   * @param {string} themeName - Folder name under assets/themes
+   * @returns {Promise<Object>} Merged manifest with resolved asset URLs
+   * @throws {Error} for a name that isn't a plain folder name (from a config, playlist or "extends")
+   */
+  static async loadManifest(themeName, chain = []) {
+    if (typeof themeName !== 'string' || !THEME_NAME_PATTERN.test(themeName)) {
+      throw new Error(`'${themeName}' is not a valid theme name`);
+    }
+    if (chain.includes(themeName)) {
+      throw new Error(`Theme inheritance loop: ${[...chain, themeName].join(' -> ')}`);
+    }
+
+    const dir = `assets/themes/${themeName}/`;
+    let manifest;
+    const response = await fetch(`${dir}theme.json`);
+    if (response.ok) {
+      manifest = await response.json();
+    } else if (response.status === 404) {
+      // Themes from before manifests existed: just bg.png and card-back.png
+      console.warn(`Theme '${themeName}' has no theme.json, using legacy bg.png/card-back.png`);
+      manifest = { images: { background: 'bg.png', cardBack: 'card-back.png' } };
+    } else {
+      throw new Error(`Theme '${themeName}': HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const own = this.resolvePaths(manifest, dir);
+    own.name = themeName;
+
+    if (!manifest.extends) return own;
+    const parent = await this.loadManifest(manifest.extends, [...chain, themeName]);
+    return this.merge(parent, own);
+  }
+
+  // Asset paths are relative to the manifest's folder, so resolve them before merging
+  static resolvePaths(manifest, dir) {
+    const resolved = JSON.parse(JSON.stringify(manifest));
+    ['images', 'sounds'].forEach(group => {
+      Object.entries(resolved[group] || {}).forEach(([key, src]) => {
+        if (typeof src === 'string' && src && !/^([a-z]+:|\/)/i.test(src)) {
+          resolved[group][key] = dir + src;
+        }
+      });
+    });
+    return resolved;
   }
 
-  static setCardBack(themeName) {
-    const cardBackUrl = `url('assets/themes/${themeName}/card-back.png')`;
-    document.documentElement.style.setProperty('--card-back', cardBackUrl);
+  static merge(base, override) {
+    const result = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      result[key] = isObject && base[key] && typeof base[key] === 'object'
+        ? this.merge(base[key], value)
+        : value;
+    });
+    return result;
   }
 
-  static async preloadThemeAssets(themeName) {
-    const assets = [
-      `assets/themes/${themeName}/bg.png`,
-      `assets/themes/${themeName}/card-back.png`
-    ];
+  static applyManifest(manifest) {
+    this.clearTheme();
+    const root = document.documentElement;
+    const vars = { ...(manifest.cssVars || {}) };
 
-    // Preload images for better performance
-    const preloadPromises = assets.map(src => {
-      return new Promise((resolve) => {
-        const img = new Image();
-        img.onload = img.onerror = () => resolve(); // Resolve either way
-        img.src = src;
-      });
+    Object.entries(this.CSS_VARS).forEach(([path, name]) => {
+      const [group, key] = path.split('.');
+      const value = manifest[group] && manifest[group][key];
+      if (value) vars[name] = value;
+    });
+    Object.entries(this.IMAGE_VARS).forEach(([key, name]) => {
+      const src = manifest.images && manifest.images[key];
+      if (src) vars[name] = `url('${src}')`;
     });
 
-    try {
-      await Promise.all(preloadPromises);
-      console.log(`Theme '${themeName}' assets preloaded`);
-    } catch (error) {
-      console.warn('Some theme assets failed to preload:', error);
+    Object.entries(vars).forEach(([name, value]) => {
+      root.style.setProperty(name, value);
+      this.appliedVars.push(name);
+    });
+
+    if (manifest.fonts && manifest.fonts.stylesheet) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = manifest.fonts.stylesheet;
+      link.dataset.themeFonts = manifest.name;
+      document.head.appendChild(link);
     }
+
+    root.dataset.theme = manifest.name;
+    this.current = manifest;
+  }
+
+  static clearTheme() {
+    const root = document.documentElement;
+    this.appliedVars.forEach(name => root.style.removeProperty(name));
+    this.appliedVars = [];
+    document.querySelectorAll('link[data-theme-fonts]').forEach(link => link.remove());
+    delete root.dataset.theme;
+    this.current = null;
+  }
+
+  static getAssetList(manifest) {
+    return {
+      images: Object.values(manifest.images || {}).filter(Boolean),
+      sounds: Object.values(manifest.sounds || {}).filter(Boolean)
+    };
+  }
+
+  /**
+   * Preload the theme's images and sounds (plus any extra assets)
+   * @param {Object} manifest - Theme manifest from loadManifest()
+   * @param {Object} options - AssetUtils.preload() options plus extra: string[]
+   * @returns {Promise<Array>} Load results; failures are logged, not thrown
+   */
+  static async preloadThemeAssets(manifest, { extra = [], ...options } = {}) {
+    const { images, sounds } = manifest ? this.getAssetList(manifest) : { images: [], sounds: [] };
+    const results = await AssetUtils.preload([...images, ...sounds, ...extra], options);
+
+    const failed = results.filter(result => !result.ok);
+    if (failed.length > 0) {
+      console.warn(`${failed.length} asset(s) failed to load:`, failed.map(result => `${result.src} (${result.error.message})`));
+    }
+    return results;
   }
 }
 
 /**
  * Game module management
+ *
+ * A game module exports `startGame(config, container)`, which returns a game
+ * instance. Every method on the instance is optional; the loader only offers
+ * the toolbar buttons for the methods a module implements.
+ *
+ * @typedef {Object} GameInstance
+ * @property {Function} [pause] - Freeze timers and input
+ * @property {Function} [resume] - Continue after pause()
+ * @property {Function} [restart] - Start a fresh round without reloading the page
+ * @property {Function} [hint] - Give the player a hint
+ * @property {Function} [openSettings] - Game-specific settings, offered from the Settings panel
+ * @property {Function} [destroy] - Stop timers and clear the container
+ *
+ * startGame also receives a third `context` argument:
+ *   - emit(type, payload) reports progress back to the loader (see GameSession)
+ *   - storage is the player's PlayerStore for this game (see storage.js), for
+ *     progress that should survive a reload
+ *   - track(type, data) records an analytics event (see analytics.js), e.g.
+ *     track('card_flipped', { cardId, message })
+ *   - playSound(cue) plays a named sound such as 'flip', 'match' or 'error'
+ *     (see audio.js); the loader plays 'win' itself when the game completes
+ *
+ * A module may also export checkConfig(config) → { errors, warnings } for rules
+ * its schema can't express (e.g. ids that must refer to each other); the loader
+ * and the admin editor run it after the schema passes.
+ *
+ * Cards should be keyboard controls (A11yUtils.makeCardGrid in main.js) and
+ * revealed text read out with A11yUtils.announce(). The player's accessibility
+ * options are already applied to config.settings (see AccessibilityManager).
  */
 class GameManager {
   static async loadGameModule(gameType) {
@@ -131,11 +386,12 @@ class GameManager {
     }
   }
 
-  static initializeGame(module, config, container) {
+  static initializeGame(module, config, container, context = {}) {
     try {
       container.innerHTML = '';
-      module.startGame(config, container);
+      const instance = module.startGame(config, container, context) || {};
       console.log(`Game '${config.gameType}' initialized successfully`);
+      return instance;
     } catch (error) {
       throw new Error(`Failed to initialize game: ${error.message}`);
     }
@@ -143,31 +399,831 @@ class GameManager {
 }
 
 /**
- * UI and error display management
+ * Progress of the running game, fed by the events a game module emits:
+ *   emit('move')             one more attempt/move
+ *   emit('score', n)         current score
+ *   emit('complete', result) game over; result may carry score, message, ...
+ */
+class GameSession {
+  constructor() {
+    this.store = GameStateUtils.createStateManager({
+      status: 'playing',
+      score: 0,
+      attempts: 0,
+      elapsedMs: 0,
+      result: null
+    });
+    this.handlers = {};
+    this.timer = null;
+    this.emit = this.emit.bind(this);
+    this.startClock();
+  }
+
+  emit(type, payload) {
+    const state = this.store.getState();
+    if (state.status === 'complete' && type !== 'complete') return;
+
+    switch (type) {
+      case 'move':
+        this.store.setState({ attempts: state.attempts + (payload && payload.count || 1) });
+        break;
+      case 'score':
+        this.store.setState({ score: Number(payload) || 0 });
+        break;
+      case 'complete': {
+        const result = payload || {};
+        this.stopClock();
+        this.store.setState({
+          status: 'complete',
+          score: typeof result.score === 'number' ? result.score : state.score,
+          result
+        });
+        break;
+      }
+      default:
+        break;
+    }
+
+    (this.handlers[type] || []).forEach(handler => handler(payload, this.store.getState()));
+  }
+
+  on(type, handler) {
+    (this.handlers[type] = this.handlers[type] || []).push(handler);
+  }
+
+  startClock() {
+    this.stopClock();
+    let last = Date.now();
+    this.timer = setInterval(() => {
+      const now = Date.now();
+      const state = this.store.getState();
+      if (state.status === 'playing') {
+        this.store.setState({ elapsedMs: state.elapsedMs + (now - last) });
+      }
+      last = now;
+    }, 1000);
+  }
+
+  stopClock() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  pause() {
+    if (this.store.getState().status === 'playing') {
+      this.store.setState({ status: 'paused' });
+    }
+  }
+
+  resume() {
+    if (this.store.getState().status === 'paused') {
+      this.store.setState({ status: 'playing' });
+    }
+  }
+
+  restart() {
+    this.store.reset();
+    this.startClock();
+  }
+
+  end() {
+    this.stopClock();
+    this.handlers = {};
+  }
+}
+
+/**
+ * Live timer/score/moves panel (#game-info)
+ */
+class HudManager {
+  static unsubscribe = null;
+
+  static bind(session, config) {
+    this.unbind();
+
+    const panel = document.getElementById('game-info');
+    if (!panel) return;
+
+    document.getElementById('current-game-title').textContent = config.title || '';
+    panel.style.display = '';
+
+    const render = (state) => {
+      this.setStat('game-timer', this.formatTime(state.elapsedMs));
+      this.setStat('game-score', state.score);
+      this.setStat('game-attempts', state.attempts);
+    };
+    render(session.store.getState());
+    this.unsubscribe = session.store.subscribe(render);
+  }
+
+  // "Daily Session · Game 2 of 3 · Total 1200"; pass null to hide
+  static setPlaylistStatus(text) {
+    const el = document.getElementById('playlist-status');
+    if (!el) return;
+    el.hidden = !text;
+    el.textContent = text || '';
+  }
+
+  static setStat(id, value) {
+    const el = document.querySelector(`#${id} .stat-value`);
+    if (el) el.textContent = String(value);
+  }
+
+  static formatTime(ms) {
+    const total = Math.floor(ms / 1000);
+    const minutes = String(Math.floor(total / 60)).padStart(2, '0');
+    const seconds = String(total % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  static unbind() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    const panel = document.getElementById('game-info');
+    if (panel) panel.style.display = 'none';
+  }
+}
+
+/**
+ * Dialogs rendered into #modal-container
+ */
+class ModalManager {
+  static cleanups = [];
+  static lastFocus = null;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.title - Dialog title
+   * @param {string|HTMLElement} options.body - Text or element for the body
+   * @param {Array} [options.actions] - Extra footer buttons: { label, onClick }
+   * @param {Function} [options.onClose] - Called once the dialog is closed
+   */
+  static open({ title, body, actions = [], onClose = null }) {
+    // Replacing a dialog isn't closing it: a summary's onClose would advance a playlist
+    this.close({ notify: false });
+
+    const container = document.getElementById('modal-container');
+    const bodyEl = document.getElementById('modal-body');
+    const okBtn = document.getElementById('modal-ok');
+    if (!container) return;
+
+    this.lastFocus = document.activeElement;
+    document.getElementById('modal-title').textContent = title;
+    bodyEl.innerHTML = '';
+    if (typeof body === 'string') {
+      bodyEl.textContent = body;
+    } else if (body) {
+      bodyEl.appendChild(body);
+    }
+
+    actions.forEach(action => {
+      const button = DOMUtils.createElement('button', { className: 'modal-btn modal-action' }, action.label);
+      okBtn.parentNode.insertBefore(button, okBtn);
+      this.cleanups.push(DOMUtils.addEventListenerWithCleanup(button, 'click', () => {
+        this.close();
+        action.onClick();
+      }));
+    });
+
+    const close = () => this.close();
+    this.cleanups.push(
+      DOMUtils.addEventListenerWithCleanup(okBtn, 'click', close),
+      DOMUtils.addEventListenerWithCleanup(document.getElementById('modal-close'), 'click', close),
+      DOMUtils.addEventListenerWithCleanup(container.querySelector('.modal-backdrop'), 'click', close),
+      DOMUtils.addEventListenerWithCleanup(document, 'keydown', (event) => {
+        if (event.key === 'Escape') close();
+      })
+    );
+    this.onClose = onClose;
+
+    container.style.display = 'flex';
+    container.setAttribute('aria-hidden', 'false');
+    container.setAttribute('aria-labelledby', 'modal-title');
+    okBtn.focus();
+  }
+
+  // notify: false closes without calling onClose (used when tearing a game down)
+  static close({ notify = true } = {}) {
+    const container = document.getElementById('modal-container');
+    if (!container || container.style.display === 'none') return;
+
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    container.querySelectorAll('.modal-action').forEach(button => button.remove());
+    container.style.display = 'none';
+    container.setAttribute('aria-hidden', 'true');
+
+    if (this.lastFocus && typeof this.lastFocus.focus === 'function') {
+      this.lastFocus.focus();
+    }
+    const onClose = this.onClose;
+    this.onClose = null;
+    if (onClose && notify) onClose();
+  }
+}
+
+/**
+ * Game toolbar (#game-controls) bound to the running game instance
+ */
+class ControlsManager {
+  static cleanups = [];
+
+  static bind(instance) {
+    this.unbind();
+
+    const controls = document.getElementById('game-controls');
+    if (!controls) return;
+
+    const pauseBtn = document.getElementById('pause-btn');
+    const canPause = typeof instance.pause === 'function' && typeof instance.resume === 'function';
+    let paused = false;
+
+    this.setupButton(pauseBtn, canPause, () => {
+      paused = !paused;
+      if (paused) {
+        instance.pause();
+      } else {
+        instance.resume();
+      }
+      this.setButtonLabel(pauseBtn, paused ? '▶️' : '⏸️', paused ? 'resume' : 'pause');
+    });
+    this.setButtonLabel(pauseBtn, '⏸️', 'pause');
+
+    this.setupButton(document.getElementById('restart-btn'), typeof instance.restart === 'function', () => {
+      if (paused) {
+        paused = false;
+        this.setButtonLabel(pauseBtn, '⏸️', 'pause');
+      }
+      instance.restart();
+    });
+
+    this.setupButton(document.getElementById('hint-btn'), typeof instance.hint === 'function', () => {
+      instance.hint();
+    });
+
+    this.setupButton(document.getElementById('settings-btn'), typeof instance.openSettings === 'function', () => {
+      instance.openSettings();
+    });
+
+    this.setupButton(document.getElementById('next-btn'), typeof instance.next === 'function', () => {
+      instance.next();
+    });
+
+    const anyVisible = Array.from(controls.querySelectorAll('.control-btn')).some(btn => !btn.hidden);
+    controls.style.display = anyVisible ? '' : 'none';
+  }
+
+  static setupButton(button, supported, handler) {
+    if (!button) return;
+    button.hidden = !supported;
+    if (supported) {
+      this.cleanups.push(DOMUtils.addEventListenerWithCleanup(button, 'click', handler));
+    }
+  }
+
+  // action is a controls.* translation key, e.g. 'pause' (label key 'pauseLabel')
+  static setButtonLabel(button, icon, action) {
+    if (!button) return;
+    button.querySelector('.btn-icon').textContent = icon;
+    button.querySelector('.btn-text').textContent = t(`controls.${action}`);
+    button.setAttribute('aria-label', t(`controls.${action}Label`));
+  }
+
+  static unbind() {
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    const controls = document.getElementById('game-controls');
+    if (controls) controls.style.display = 'none';
+  }
+}
+
+/**
+ * Embed mode (index.html?embed=1&parentOrigin=...), normally set up by embed.js.
+ *
+ * Messages in both directions are { source: '3c-games', version: 1, type, payload }.
+ *   Game -> host: config-request, ready, score, complete, playlist-complete, resize, error
+ *   Host -> game: config ({ config }, answers config-request), restart
+ *
+ * The host's origin comes from ?parentOrigin=. Messages are only posted to
+ * that origin, and only accepted from the parent window at that origin.
  */
+class EmbedBridge {
+  static PROTOCOL = '3c-games';
+  static VERSION = 1;
+  static CONFIG_TIMEOUT_MS = 15000;
+  static parentOrigin = null;
+  static handlers = {};
+
+  static get active() {
+    return this.parentOrigin !== null;
+  }
+
+  static init() {
+    const params = ConfigManager.getUrlParams();
+    if (!params.has('embed') || window.parent === window) return;
+
+    const origin = params.get('parentOrigin');
+    if (!this.isOrigin(origin)) {
+      console.warn('Embed mode needs ?parentOrigin= set to the host page origin; messages disabled');
+      return;
+    }
+    // When the browser tells us who framed us, it has to match the claimed origin
+    if (document.referrer && new URL(document.referrer).origin !== origin) {
+      console.warn(`Embed parentOrigin ${origin} does not match the embedding page; messages disabled`);
+      return;
+    }
+
+    this.parentOrigin = origin;
+    document.documentElement.classList.add('embedded');
+    window.addEventListener('message', (event) => this.receive(event));
+    this.observeSize();
+  }
+
+  static isOrigin(value) {
+    try {
+      return Boolean(value) && new URL(value).origin === value;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static receive(event) {
+    if (event.source !== window.parent || event.origin !== this.parentOrigin) return;
+    const message = event.data;
+    if (!message || message.source !== this.PROTOCOL || typeof message.type !== 'string') return;
+    (this.handlers[message.type] || []).forEach(handler => handler(message.payload || {}));
+  }
+
+  static on(type, handler) {
+    (this.handlers[type] = this.handlers[type] || []).push(handler);
+    return () => {
+      this.handlers[type] = this.handlers[type].filter(h => h !== handler);
+    };
+  }
+
+  static post(type, payload = {}) {
+    if (!this.active) return;
+    window.parent.postMessage({ source: this.PROTOCOL, version: this.VERSION, type, payload }, this.parentOrigin);
+  }
+
+  // ?configSource=message: ask the host for the config instead of fetching one
+  static requestConfig() {
+    if (!this.active) {
+      return Promise.reject(new ConfigError('configSource=message only works inside an embed', 'EMBED_REQUIRED'));
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        off();
+        reject(new ConfigError('The host page did not send a config', 'EMBED_TIMEOUT'));
+      }, this.CONFIG_TIMEOUT_MS);
+      const off = this.on('config', ({ config }) => {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) return;
+        clearTimeout(timer);
+        off();
+        resolve(config);
+      });
+      this.post('config-request');
+    });
+  }
+
+  // Report the content height so the host can size the iframe to fit
+  static observeSize() {
+    let lastHeight = 0;
+    const report = () => {
+      const height = Math.ceil(document.body.getBoundingClientRect().height);
+      if (height !== lastHeight) {
+        lastHeight = height;
+        this.post('resize', { height });
+      }
+    };
+    if (typeof ResizeObserver === 'function') {
+      new ResizeObserver(report).observe(document.body);
+    } else {
+      window.addEventListener('resize', report);
+    }
+    report();
+  }
+}
+
+/**
+ * The toolbar's Settings panel: sound for every game, plus the game's own
+ * settings when it has any (GameInstance.openSettings)
+ */
+class SettingsPanel {
+  static open(audio, openGameSettings = null) {
+    const mute = DOMUtils.createElement('input', { type: 'checkbox', id: 'sound-mute' });
+    mute.checked = audio.muted;
+    const volume = DOMUtils.createElement('input', { type: 'range', id: 'sound-volume', min: '0', max: '100', step: '5' });
+    volume.value = String(Math.round(audio.volume * 100));
+    volume.disabled = mute.checked;
+
+    mute.addEventListener('change', () => {
+      audio.setMuted(mute.checked);
+      volume.disabled = mute.checked;
+    });
+    volume.addEventListener('input', () => audio.setVolume(Number(volume.value) / 100));
+    // Let the player hear the new level
+    volume.addEventListener('change', () => audio.play('flip'));
+
+    ModalManager.open({
+      title: t('sound.title'),
+      body: DOMUtils.createElement('div', { className: 'sound-settings' }, [
+        DOMUtils.createElement('label', { for: 'sound-mute' }, [mute, ` ${t('sound.mute')}`]),
+        DOMUtils.createElement('label', { for: 'sound-volume' }, t('sound.volume')),
+        volume
+      ]),
+      actions: openGameSettings
+        ? [{ label: t('sound.gameSettings'), onClick: openGameSettings }]
+        : []
+    });
+  }
+}
+
+/**
+ * Accessibility options (#accessibility-btn), saved in this browser and applied
+ * to every game: classes on <html> for contrast, text size and motion (see
+ * style.css), and longer reading times in the game's settings
+ */
+class AccessibilityManager {
+  // Option -> class on <html>; longerDisplay changes settings instead
+  static OPTIONS = {
+    highContrast: 'a11y-high-contrast',
+    largeText: 'a11y-large-text',
+    reduceMotion: 'a11y-reduce-motion',
+    longerDisplay: null
+  };
+  // Display delays only: how long a card, hint or answer stays on screen. Game clocks
+  // such as a challenge's timeLimitSeconds are left alone so scores stay comparable
+  static READING_TIME_SETTINGS = ['displayMs', 'mismatchDelayMs', 'hintMs', 'feedbackMs'];
+  static READING_TIME_FACTOR = 2;
+  static prefs = {};
+  static store = null;
+
+  static async load() {
+    this.store = await openPlayerStore('accessibility');
+    this.prefs = this.store.get('prefs', {});
+    this.apply();
+  }
+
+  static bind() {
+    const button = document.getElementById('accessibility-btn');
+    if (button) button.addEventListener('click', () => this.open());
+  }
+
+  static apply() {
+    Object.entries(this.OPTIONS).forEach(([option, className]) => {
+      if (className) document.documentElement.classList.toggle(className, Boolean(this.prefs[option]));
+    });
+  }
+
+  static set(option, enabled) {
+    this.prefs = { ...this.prefs, [option]: enabled };
+    this.apply();
+    if (this.store) this.store.set('prefs', this.prefs);
+  }
+
+  static open() {
+    const rows = Object.keys(this.OPTIONS).map(option => {
+      const input = DOMUtils.createElement('input', { type: 'checkbox', id: `a11y-${option}` });
+      input.checked = Boolean(this.prefs[option]);
+      input.addEventListener('change', () => this.set(option, input.checked));
+      return DOMUtils.createElement('label', { for: `a11y-${option}` }, [input, ` ${t(`a11y.${option}`)}`]);
+    });
+
+    ModalManager.open({
+      title: t('a11y.title'),
+      body: DOMUtils.createElement('div', { className: 'accessibility-options' }, [
+        DOMUtils.createElement('p', {}, t('a11y.intro')),
+        ...rows,
+        DOMUtils.createElement('p', { className: 'accessibility-hint' }, t('a11y.longerDisplayHint'))
+      ])
+    });
+  }
+
+  /**
+   * Apply the reading-time option to a validated config
+   * @param {Object} config - Config with defaults filled in
+   * @returns {Object} The config, with longer reading times if the player asked for them
+   */
+  static adjustSettings(config) {
+    if (!this.prefs.longerDisplay || !config.settings) return config;
+    const settings = { ...config.settings };
+    this.READING_TIME_SETTINGS.forEach(key => {
+      if (typeof settings[key] === 'number') settings[key] *= this.READING_TIME_FACTOR;
+    });
+    return { ...config, settings };
+  }
+}
+
+/**
+ * "My Progress" dialog: download or restore the player's saved progress
+ */
+class ProgressDataManager {
+  static bind() {
+    const button = document.getElementById('progress-btn');
+    if (button) button.addEventListener('click', () => this.open());
+  }
+
+  static open() {
+    const fileInput = DOMUtils.createElement('input', { type: 'file', accept: 'application/json,.json', id: 'progress-import' });
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+    });
+
+    ModalManager.open({
+      title: t('progress.title'),
+      body: DOMUtils.createElement('div', { className: 'progress-data' }, [
+        DOMUtils.createElement('p', {}, t('progress.intro')),
+        DOMUtils.createElement('label', { for: 'progress-import' }, t('progress.restoreLabel')),
+        fileInput
+      ]),
+      actions: [{ label: t('progress.download'), onClick: () => this.download() }]
+    });
+  }
+
+  static async download() {
+    try {
+      const data = await exportPlayerData();
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const link = DOMUtils.createElement('a', {
+        href: URL.createObjectURL(blob),
+        download: `3c-progress-${new Date().toISOString().slice(0, 10)}.json`
+      });
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+      // IndexedDB can be blocked, full or missing in private browsing
+      ModalManager.open({ title: t('progress.downloadFailed'), body: error.message });
+    }
+  }
+
+  static async importFile(file) {
+    try {
+      const namespaces = await importPlayerData(await file.text());
+      ModalManager.open({
+        title: t('progress.restoredTitle'),
+        body: t('progress.restored', { count: namespaces.length }),
+        actions: [{ label: t('progress.reload'), onClick: () => location.reload() }]
+      });
+    } catch (error) {
+      ModalManager.open({ title: t('progress.restoreFailed'), body: error.message });
+    }
+  }
+}
+
+/**
+ * Shareable result cards (see share.js): the Share button in the game summary
+ * and the result a shared ?card= link opens with
+ */
+class ShareManager {
+  // Every game's config may carry a "share" block
+  static withSchema(schema) {
+    if (!schema || !schema.properties || schema.properties.share) return schema;
+    return { ...schema, properties: { ...schema.properties, share: SHARE_SCHEMA } };
+  }
+
+  /**
+   * Draw a game's result card
+   * @param {Object} config - Localized, validated config
+   * @param {Object} result - The game's 'complete' payload (or sharedResult())
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  static draw(config, result) {
+    const details = [];
+    if (typeof result.score === 'number') details.push(`${t('summary.score')} ${result.score}`);
+    if (typeof result.timeMs === 'number') details.push(`${t('summary.time')} ${HudManager.formatTime(result.timeMs)}`);
+    return drawResultCard({
+      title: config.title || t('summary.game'),
+      heading: result.title || '',
+      message: result.message || '',
+      details,
+      image: result.image || (result.card ? AssetUtils.resolve(result.card.frontImage) : null),
+      theme: ThemeManager.current,
+      direction: document.documentElement.dir === 'rtl' ? 'rtl' : 'ltr'
+    });
+  }
+
+  // A link that reopens this game; none for configs posted by an embedding page
+  static link(result) {
+    const params = ConfigManager.getUrlParams();
+    if (params.get('configSource') === 'message') return null;
+
+    let href = window.location.href;
+    const entry = GameLoader.playlist && GameLoader.playlist.entry(GameLoader.playlist.index);
+    // In a playlist, link to the game itself rather than the whole session
+    if (entry && (entry.configName || entry.configUrl)) {
+      const url = new URL(window.location.pathname, window.location.origin);
+      if (entry.configUrl) {
+        url.searchParams.set('configUrl', new URL(entry.configUrl, window.location.href).href);
+        if (entry.integrity) url.searchParams.set('integrity', entry.integrity);
+      } else {
+        url.searchParams.set('configName', entry.configName);
+      }
+      if (params.has('lang')) url.searchParams.set('lang', params.get('lang'));
+      href = url.href;
+    }
+    return resultLink(href, result.shareId);
+  }
+
+  // The summary's Share button, with a preview of the card once it is drawn
+  static createButton(config, result, state) {
+    const button = DOMUtils.createElement('button', { type: 'button', className: 'modal-btn share-btn' }, t('share.button'));
+    const status = DOMUtils.createElement('p', { className: 'share-status', role: 'status' });
+    const block = DOMUtils.createElement('div', { className: 'summary-share' }, [button, status]);
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        await this.share(config, result, state, block, status);
+      } finally {
+        button.disabled = false;
+      }
+    });
+    return block;
+  }
+
+  static async share(config, result, state, block, status) {
+    status.textContent = t('share.preparing');
+    let image = null;
+    try {
+      const canvas = await this.draw(config, result);
+      this.showPreview(block, canvas, result);
+      image = await toPng(canvas);
+    } catch (error) {
+      // The link and text can still be shared without the picture
+      console.warn('Could not create the result card:', error);
+    }
+
+    const params = { game: config.title || '', message: result.message || '', score: state.score };
+    const { title, text } = shareText(config.share, params, {
+      title: config.title,
+      text: t(result.message ? 'share.text' : 'share.scoreText', params)
+    });
+    const url = this.link(result);
+    const outcome = await shareResult({ title, text, url, image, fileName: `${ConfigManager.getSlug(config)}-result.png` });
+    GameLoader.analytics.track('result_shared', {
+      method: outcome.method,
+      ...(result.shareId !== undefined ? { shareId: result.shareId } : {})
+    });
+
+    block.querySelectorAll('.share-link').forEach(input => input.remove());
+    if (outcome.method === 'share') {
+      status.textContent = t('share.shared');
+    } else if (outcome.method === 'cancelled') {
+      status.textContent = '';
+    } else if (outcome.copied) {
+      status.textContent = t(outcome.downloaded ? 'share.downloadedCopied' : 'share.copied');
+    } else {
+      status.textContent = t(outcome.downloaded ? 'share.downloaded' : 'share.unavailable');
+      if (url) {
+        // The clipboard refused, so offer the link to copy by hand
+        const input = DOMUtils.createElement('input', { type: 'text', className: 'share-link', readonly: '', 'aria-label': t('share.linkLabel') });
+        input.value = url;
+        input.addEventListener('focus', () => input.select());
+        block.appendChild(input);
+      }
+    }
+  }
+
+  static showPreview(block, canvas, result) {
+    canvas.className = 'share-preview';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', t('share.previewLabel', { message: result.message || '' }));
+    const previous = block.querySelector('.share-preview');
+    if (previous) {
+      previous.replaceWith(canvas);
+    } else {
+      block.prepend(canvas);
+    }
+  }
+
+  /**
+   * Open a shared link's result over the freshly started game
+   * @param {Object} module - The game module (for sharedResult)
+   * @param {Object} config - Localized, validated config
+   * @param {string} shareId - The link's ?card= value
+   */
+  static async openShared(module, config, shareId) {
+    const result = typeof module.sharedResult === 'function' ? module.sharedResult(config, shareId) : null;
+    if (!result) {
+      console.warn(`Shared link points at '${shareId}', which this game doesn't have`);
+      return;
+    }
+
+    const body = DOMUtils.createElement('div', { className: 'game-summary shared-result' }, [
+      ...(result.title ? [DOMUtils.createElement('h3', { className: 'summary-heading' }, result.title)] : []),
+      DOMUtils.createElement('p', { className: 'summary-message' }, result.message || ''),
+      DOMUtils.createElement('p', {}, t('share.sharedPlay'))
+    ]);
+    ModalManager.open({ title: t('share.sharedTitle'), body });
+    try {
+      this.showPreview(body, await this.draw(config, result), result);
+    } catch (error) {
+      console.warn('Could not draw the shared result card:', error);
+    }
+  }
+}
+
+/**
+ * Loading overlay (#loading-screen) driven by real load progress.
+ * Each phase owns a slice of the bar so it only ever moves forward.
+ */
+class LoadingScreen {
+  static PHASES = {
+    config: [0, 10],
+    theme: [10, 20],
+    module: [20, 35],
+    assets: [35, 95],
+    start: [95, 100]
+  };
+  static percent = 0;
+
+  /**
+   * @param {string} phase - Key of PHASES
+   * @param {string} message - Text for #loading-text
+   * @param {number} fraction - How far through the phase (0-1)
+   */
+  static update(phase, message, fraction = 0) {
+    const [from, to] = this.PHASES[phase];
+    const percent = Math.round(from + (to - from) * Math.min(Math.max(fraction, 0), 1));
+    this.percent = Math.max(this.percent, percent);
+
+    const screen = document.getElementById('loading-screen');
+    if (!screen) return;
+    screen.style.display = '';
+    screen.style.opacity = '1';
+    document.getElementById('loading-text').textContent = message;
+    document.getElementById('progress-fill').style.width = `${this.percent}%`;
+    document.getElementById('progress-percentage').textContent = `${this.percent}%`;
+    const bar = screen.querySelector('.progress-bar');
+    if (bar) bar.setAttribute('aria-valuenow', String(this.percent));
+  }
+
+  // Start the bar again from 0 for the next game in a playlist
+  static reset() {
+    this.percent = 0;
+  }
+
+  static hide() {
+    const screen = document.getElementById('loading-screen');
+    if (!screen) return;
+    screen.style.opacity = '0';
+    setTimeout(() => {
+      screen.style.display = 'none';
+    }, 500);
+  }
+}
+
+// Messages and details can echo config values or URLs, so everything here is set as text
 class UIManager {
   static showError(message, details = null) {
     const container = document.getElementById('game-container');
-    const detailsHtml = details ? `<details><summary>Technical Details</summary><pre>${details}</pre></details>` : '';
-    
-    container.innerHTML = `
-      <div class="loader-message error">
-        <h3>🎮 Oops! Something went wrong</h3>
-        <p>${message}</p>
-        ${detailsHtml}
-        <button onclick="location.reload()" class="retry-button">Try Again</button>
-      </div>
-    `;
+    let detailsElement = null;
+    if (Array.isArray(details)) {
+      detailsElement = this.renderIssues(t('errors.configProblems'), details);
+    } else if (details) {
+      detailsElement = DOMUtils.createElement('details', {}, [
+        DOMUtils.createElement('summary', {}, t('errors.details')),
+        DOMUtils.createElement('pre', {}, String(details))
+      ]);
+    }
+
+    const retry = DOMUtils.createElement('button', { type: 'button', className: 'retry-button' }, t('errors.retry'));
+    retry.addEventListener('click', () => location.reload());
+    container.replaceChildren(DOMUtils.createElement('div', { className: 'loader-message error' }, [
+      DOMUtils.createElement('h3', {}, t('errors.title')),
+      DOMUtils.createElement('p', {}, String(message)),
+      ...(detailsElement ? [detailsElement] : []),
+      retry
+    ]));
   }
 
-  static showLoading(message = 'Loading game...') {
-    const container = document.getElementById('game-container');
-    container.innerHTML = `
-      <div class="loader-message">
-        <div class="spinner"></div>
-        <p>${message}</p>
-      </div>
-    `;
+  static renderIssues(title, issues, open = true) {
+    const details = DOMUtils.createElement('details', {}, [
+      DOMUtils.createElement('summary', {}, title),
+      DOMUtils.createElement('ul', { className: 'config-issues' }, issues.map(issue =>
+        DOMUtils.createElement('li', {}, [
+          DOMUtils.createElement('code', {}, String(issue.path)),
+          ` ${issue.message}`
+        ])))
+    ]);
+    details.open = open;
+    return details;
+  }
+
+  static showWarnings(warnings) {
+    let panel = document.getElementById('config-warnings');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'config-warnings';
+      panel.className = 'config-warnings';
+      panel.setAttribute('role', 'status');
+      const container = document.getElementById('game-container');
+      container.parentNode.insertBefore(panel, container);
+    }
+    const count = t('errors.warnings', { count: warnings.length });
+    panel.replaceChildren(this.renderIssues(count, warnings, false));
   }
 }
 
@@ -182,6 +1238,15 @@ class ConfigError extends Error {
   }
 }
 
+class ConfigValidationError extends ConfigError {
+  constructor(errors, warnings = []) {
+    super(`Invalid configuration: ${ValidationUtils.formatIssues(errors).join('; ')}`, 'CONFIG_INVALID');
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
 class GameError extends Error {
   constructor(message, type = 'GAME_ERROR') {
     super(message);
@@ -190,53 +1255,478 @@ class GameError extends Error {
   }
 }
 
+/**
+ * Playlists: several games played back to back in one visit, keeping one
+ * running total score. A playlist config looks like
+ *   {
+ *     "gameType": "playlist",
+ *     "title": "3C Daily Session",
+ *     "theme": "theme1",          // for games that don't set their own
+ *     "advance": "complete",      // "complete" | "button" | "timer"
+ *     "timerSeconds": 90,         // used by "timer"
+ *     "games": [
+ *       { "configName": "card-flip" },
+ *       { "configUrl": "https://...", "advance": "timer", "timerSeconds": 60 },
+ *       { "config": { "gameType": "memory-match", ... } }
+ *     ]
+ *   }
+ * Advance modes:
+ *   complete - move on once the player closes the game's summary
+ *   button   - a "Next" toolbar button; the player moves on when ready
+ *   timer    - move on after timerSeconds of play, or earlier on completion
+ */
+class Playlist {
+  static ADVANCE_MODES = ['complete', 'button', 'timer'];
+
+  static schema = {
+    type: 'object',
+    required: ['gameType', 'games'],
+    properties: {
+      gameType: { type: 'string', enum: ['playlist'] },
+      title: { type: 'string', default: 'Game Session' },
+      theme: { type: 'string', pattern: THEME_NAME_PATTERN.source },
+      advance: { type: 'string', enum: Playlist.ADVANCE_MODES, default: 'complete' },
+      timerSeconds: { type: 'integer', minimum: 5, maximum: 3600, default: 60 },
+      games: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            configName: { type: 'string', pattern: '^[a-z0-9-]+$' },
+            configUrl: { type: 'string', minLength: 1 },
+            integrity: { type: 'string', pattern: '^sha(256|384|512)-' },
+            config: { type: 'object' },
+            theme: { type: 'string', pattern: THEME_NAME_PATTERN.source },
+            advance: { type: 'string', enum: Playlist.ADVANCE_MODES },
+            timerSeconds: { type: 'integer', minimum: 5, maximum: 3600 }
+          }
+        }
+      }
+    }
+  };
+
+  constructor(config) {
+    this.config = config;
+    this.reset();
+  }
+
+  reset() {
+    this.index = -1;
+    this.results = [];
+  }
+
+  get length() {
+    return this.config.games.length;
+  }
+
+  get total() {
+    return this.results.reduce((sum, result) => sum + result.score, 0);
+  }
+
+  hasNext() {
+    return this.index + 1 < this.length;
+  }
+
+  // Entry settings with the playlist-wide defaults filled in
+  entry(index) {
+    const { theme, advance, timerSeconds } = this.config;
+    return { theme, advance, timerSeconds, ...this.config.games[index] };
+  }
+
+  record(config, state) {
+    this.results[this.index] = {
+      title: config.title || config.gameType,
+      gameType: config.gameType,
+      score: state.score,
+      elapsedMs: state.elapsedMs,
+      completed: state.status === 'complete'
+    };
+  }
+
+  status() {
+    return t('playlist.status', { title: this.config.title, number: this.index + 1, count: this.length, total: this.total });
+  }
+}
+
 /**
  * Main game loader orchestration
  */
 class GameLoader {
+  static instance = null;
+  static session = null;
+  static analytics = null;
+  static config = null;
+  static gameModule = null;
+  static playlist = null;
+  static cleanups = [];
+  static advancing = false;
+  static locales = [];
+  static audio = null;
+
   static async initialize() {
+    let translated = false;
     try {
-      UIManager.showLoading('Loading configuration...');
+      // Setup failures (storage, translations, audio) get the same error screen as load failures
+      this.locales = getPreferredLocales();
+      await initI18n({ preferences: this.locales });
+      translated = true;
+      await AccessibilityManager.load();
+      this.analytics = await createAnalytics();
+      this.audio = await createAudioManager();
+      this.audio.unlockOnGesture();
+      window.addEventListener('error', (event) => {
+        this.analytics.track('error', { message: event.message || 'Unknown error', stage: 'runtime' });
+      });
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.analytics.flush();
+          this.audio.suspend();
+        } else if (!this.session || this.session.store.getState().status !== 'paused') {
+          // A paused game stays quiet until the player resumes it
+          this.audio.resume();
+        }
+      });
+
+      LoadingScreen.update('config', t('loading.config'));
       
-      // Step 1: Load and validate configuration
+      // Step 1: Load configuration
       const config = await ConfigManager.fetchConfigFromUrlOrName();
-      ConfigManager.validateConfig(config);
-      
-      UIManager.showLoading('Applying theme...');
-      
-      // Step 2: Apply theme
-      await ThemeManager.applyTheme(config.theme);
-      
-      UIManager.showLoading('Loading game module...');
-      
-      // Step 3: Load game module
-      const gameModule = await GameManager.loadGameModule(config.gameType);
-      
-      UIManager.showLoading('Initializing game...');
-      
-      // Step 4: Initialize game
-      const container = document.getElementById('game-container');
-      GameManager.initializeGame(gameModule, config, container);
-      
+      if (ConfigManager.isPlaylist(config)) {
+        this.playlist = new Playlist(ConfigManager.validateConfig(localizeConfig(config, this.locales), Playlist.schema));
+        await this.startNextInPlaylist();
+      } else {
+        await this.startGame(config);
+        const shareId = ConfigManager.getUrlParams().get(LINK_PARAM);
+        if (shareId !== null) await ShareManager.openShared(this.gameModule, this.config, shareId);
+      }
     } catch (error) {
-      console.error('Game loader error:', error);
-      
-      // Provide user-friendly error messages based on error type
-      let userMessage = 'Failed to load game. Please try again.';
-      
-      if (error instanceof ConfigError) {
-        userMessage = 'Game configuration error. Please check the game settings.';
-      } else if (error.message.includes('not found')) {
-        userMessage = 'Game files are missing. Please check the installation.';
-      } else if (error.message.includes('network')) {
-        userMessage = 'Network error. Please check your connection and try again.';
+      // Without translations the error screen would show bare keys
+      if (!translated) await initI18n({ preferences: [] }).catch(() => {});
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Load and start one game, replacing whatever game is running
+   * @param {Object} rawConfig - Config as fetched (validated here)
+   */
+  static async startGame(rawConfig) {
+    const track = (type, data) => this.analytics.track(type, data);
+    ConfigManager.checkGameType(rawConfig);
+    const slug = ConfigManager.getSlug(rawConfig);
+    let config = localizeConfig(rawConfig, this.locales);
+    if (!config.slug && isLocaleMap(rawConfig.title, knownLocales(rawConfig))) {
+      // A translated title would give each language its own slug (and daily card)
+      config.slug = slug;
+    }
+    this.analytics.setContext({ game: slug, gameType: config.gameType });
+    
+    LoadingScreen.update('theme', t('loading.theme'));
+    
+    // Step 2: Apply theme
+    const theme = await ThemeManager.applyTheme(config.theme);
+    
+    LoadingScreen.update('module', t('loading.module'));
+    
+    // Step 3: Load game module
+    const gameModule = await GameManager.loadGameModule(config.gameType);
+    config = AccessibilityManager.adjustSettings(
+      ConfigManager.validateConfig(config, ShareManager.withSchema(gameModule.schema), gameModule.checkConfig)
+    );
+    
+    // Step 4: Preload theme images/sounds and card images
+    LoadingScreen.update('assets', t('loading.assets'));
+    await ThemeManager.preloadThemeAssets(theme, {
+      extra: ConfigManager.getAssetList(config),
+      onProgress: (loaded, total) => {
+        LoadingScreen.update('assets', t('loading.assetsCount', { loaded, total }), loaded / total);
       }
-      
-      UIManager.showError(userMessage, error.message);
+    });
+    await this.audio.setSounds({ ...(theme && theme.sounds), ...ConfigManager.getSounds(config) });
+    
+    LoadingScreen.update('start', t('loading.start'));
+    
+    // Step 5: Initialize game
+    const storage = await openPlayerStore(slug);
+    const container = document.getElementById('game-container');
+    this.config = config;
+    this.gameModule = gameModule;
+    this.session = new GameSession();
+    this.session.on('score', (payload, state) => {
+      EmbedBridge.post('score', { score: state.score, attempts: state.attempts, elapsedMs: state.elapsedMs });
+    });
+    this.session.on('complete', (result, state) => {
+      EmbedBridge.post('complete', {
+        score: state.score, attempts: state.attempts, elapsedMs: state.elapsedMs, result
+      });
+      track('game_completed', {
+        score: state.score, timeMs: state.elapsedMs, attempts: state.attempts, message: result && result.message
+      });
+      this.audio.play('win');
+      const best = this.recordBestScore(storage, state);
+      this.onComplete(config, state, best);
+    });
+    HudManager.bind(this.session, config);
+
+    this.instance = GameManager.initializeGame(gameModule, config, container, {
+      emit: this.session.emit,
+      storage,
+      track,
+      playSound: (cue) => this.audio.play(cue)
+    });
+    const controller = this.createController(this.instance, this.session);
+    ControlsManager.bind(controller);
+    if (controller.restart) this.cleanups.push(EmbedBridge.on('restart', () => controller.restart()));
+    this.audio.playMusic();
+    LoadingScreen.update('start', t('loading.ready'), 1);
+    LoadingScreen.hide();
+    track('session_start', { gameType: config.gameType, title: config.title || '', theme: config.theme || '' });
+    EmbedBridge.post('ready', { game: slug, gameType: config.gameType, title: config.title || '' });
+  }
+
+  // Stop the running game and everything bound to it
+  static teardown() {
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    ModalManager.close({ notify: false });
+    ControlsManager.unbind();
+    HudManager.unbind();
+    if (this.session) this.session.end();
+    if (this.instance && typeof this.instance.destroy === 'function') {
+      this.instance.destroy();
     }
+    document.getElementById('game-container').innerHTML = '';
+    this.instance = null;
+    this.session = null;
+  }
+
+  static async startNextInPlaylist() {
+    const playlist = this.playlist;
+    this.teardown();
+    playlist.index++;
+    const entry = playlist.entry(playlist.index);
+
+    LoadingScreen.reset();
+    LoadingScreen.update('config', t('loading.playlistGame', { number: playlist.index + 1, count: playlist.length }));
+    const config = await ConfigManager.fetchPlaylistEntry(entry);
+    if (!config.theme && entry.theme) config.theme = entry.theme;
+
+    await this.startGame(config);
+    HudManager.setPlaylistStatus(playlist.status());
+    if (entry.advance === 'timer') this.startAdvanceTimer(entry.timerSeconds);
+  }
+
+  // Counts down only while the game is being played, so pausing pauses it too
+  static startAdvanceTimer(seconds) {
+    let remaining = seconds;
+    const show = () => HudManager.setPlaylistStatus(
+      `${this.playlist.status()} · ${t('playlist.nextIn', { time: HudManager.formatTime(remaining * 1000) })}`
+    );
+    show();
+    const timer = setInterval(() => {
+      if (this.session.store.getState().status !== 'playing') return;
+      remaining--;
+      show();
+      if (remaining <= 0) this.advance();
+    }, 1000);
+    this.cleanups.push(() => clearInterval(timer));
+  }
+
+  static async advance() {
+    if (this.advancing || !this.playlist) return;
+    this.advancing = true;
+    try {
+      this.playlist.record(this.config, this.session.store.getState());
+      if (this.playlist.hasNext()) {
+        await this.startNextInPlaylist();
+      } else {
+        this.finishPlaylist();
+      }
+    } catch (error) {
+      this.handleError(error);
+    } finally {
+      this.advancing = false;
+    }
+  }
+
+  static onComplete(config, state, best) {
+    if (!this.playlist) {
+      this.showSummary(config, state, best);
+      return;
+    }
+
+    const entry = this.playlist.entry(this.playlist.index);
+    const label = this.playlist.hasNext() ? t('playlist.nextGame') : t('playlist.seeResults');
+    if (entry.advance === 'button') {
+      // The toolbar's Next button moves on; the summary just reports
+      this.showSummary(config, state, best);
+    } else {
+      this.showSummary(config, state, best, {
+        actions: [{ label, onClick: () => this.advance() }],
+        onClose: () => this.advance()
+      });
+    }
+  }
+
+  static finishPlaylist() {
+    const playlist = this.playlist;
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    ControlsManager.unbind();
+    HudManager.setPlaylistStatus(t('playlist.finalStatus', { title: playlist.config.title, total: playlist.total }));
+    EmbedBridge.post('playlist-complete', { total: playlist.total, results: playlist.results });
+
+    const rows = playlist.results.flatMap(result => [
+      DOMUtils.createElement('dt', {}, result.title),
+      DOMUtils.createElement('dd', {}, result.completed ? String(result.score) : t('playlist.unfinished', { score: result.score }))
+    ]);
+    rows.push(
+      DOMUtils.createElement('dt', {}, t('playlist.total')),
+      DOMUtils.createElement('dd', {}, String(playlist.total))
+    );
+
+    ModalManager.open({
+      title: t('summary.complete', { title: playlist.config.title }),
+      body: DOMUtils.createElement('div', { className: 'game-summary' }, [
+        DOMUtils.createElement('dl', { className: 'summary-stats' }, rows)
+      ]),
+      actions: [{
+        label: t('summary.playAgain'),
+        onClick: () => {
+          playlist.reset();
+          this.startNextInPlaylist().catch(error => this.handleError(error));
+        }
+      }]
+    });
+  }
+
+  // remote-config.js refusals: the config was reachable but not trusted
+  static BLOCKED_CONFIG_ERRORS = ['ORIGIN_NOT_ALLOWED', 'INTEGRITY_REQUIRED', 'INTEGRITY_MISMATCH', 'INTEGRITY_UNAVAILABLE', 'TOO_LARGE'];
+
+  static handleError(error) {
+    console.error('Game loader error:', error);
+    LoadingScreen.hide();
+    // Analytics may be what failed to start
+    if (this.analytics) {
+      this.analytics.track('error', { message: error.message, stage: 'load', errorType: error.type || error.name });
+    }
+    EmbedBridge.post('error', { message: error.message, type: error.type || error.name });
+    
+    // Provide user-friendly error messages based on error type
+    let userMessage = t('errors.loadFailed');
+    
+    if (error instanceof ConfigValidationError) {
+      UIManager.showError(t('errors.configIssues'), error.errors);
+      return;
+    } else if (error.type === 'INTEGRITY_UNAVAILABLE') {
+      userMessage = t('errors.integrityUnavailable');
+    } else if (this.BLOCKED_CONFIG_ERRORS.includes(error.type)) {
+      userMessage = t('errors.blocked');
+    } else if (error instanceof ConfigError) {
+      userMessage = t('errors.config');
+    } else if (error.message.includes('not found')) {
+      userMessage = t('errors.missingFiles');
+    } else if (error.message.includes('network')) {
+      userMessage = t('errors.network');
+    }
+    
+    UIManager.showError(userMessage, error.message);
+  }
+
+  // Keep the session clock in step with the toolbar actions the game supports
+  static createController(instance, session) {
+    const controller = {};
+    if (typeof instance.pause === 'function') {
+      controller.pause = () => { instance.pause(); session.pause(); this.audio.suspend(); };
+    }
+    if (typeof instance.resume === 'function') {
+      controller.resume = () => { instance.resume(); session.resume(); this.audio.resume(); };
+    }
+    if (typeof instance.restart === 'function') {
+      controller.restart = () => { instance.restart(); session.restart(); };
+    }
+    if (typeof instance.hint === 'function') {
+      controller.hint = (...args) => {
+        this.analytics.track('hint_used');
+        return instance.hint(...args);
+      };
+    }
+    if (this.playlist && this.playlist.entry(this.playlist.index).advance === 'button') {
+      controller.next = () => this.advance();
+    }
+    // Sound settings apply to every game, so the panel is always there
+    controller.openSettings = () => SettingsPanel.open(
+      this.audio,
+      typeof instance.openSettings === 'function' ? () => instance.openSettings() : null
+    );
+    if (typeof instance.destroy === 'function') {
+      controller.destroy = (...args) => instance.destroy(...args);
+    }
+    return controller;
+  }
+
+  // Returns the best score before this round (null if there was none)
+  static recordBestScore(storage, state) {
+    const previous = storage.get('bestScore');
+    if (state.score > 0 && (!previous || state.score > previous.score)) {
+      storage.set('bestScore', { score: state.score, elapsedMs: state.elapsedMs, date: new Date().toISOString() });
+    }
+    return previous;
+  }
+
+  static showSummary(config, state, best = null, { actions = null, onClose = null } = {}) {
+    const result = state.result || {};
+    const rows = [];
+    if (result.message) {
+      rows.push(DOMUtils.createElement('p', { className: 'summary-message' }, result.message));
+    }
+    rows.push(
+      DOMUtils.createElement('dl', { className: 'summary-stats' }, [
+        DOMUtils.createElement('dt', {}, t('summary.score')),
+        DOMUtils.createElement('dd', {}, String(state.score)),
+        DOMUtils.createElement('dt', {}, t('summary.time')),
+        DOMUtils.createElement('dd', {}, HudManager.formatTime(state.elapsedMs)),
+        DOMUtils.createElement('dt', {}, t('summary.moves')),
+        DOMUtils.createElement('dd', {}, String(state.attempts)),
+        ...(best ? [
+          DOMUtils.createElement('dt', {}, t('summary.best')),
+          DOMUtils.createElement('dd', {}, String(Math.max(best.score, state.score)))
+        ] : [])
+      ])
+    );
+    if (best && state.score > best.score) {
+      rows.push(DOMUtils.createElement('p', { className: 'summary-message' }, t('summary.newBest')));
+    }
+
+    rows.push(ShareManager.createButton(config, result, state));
+
+    if (this.playlist) {
+      rows.push(DOMUtils.createElement('p', { className: 'summary-total' },
+        t('summary.sessionTotal', { total: this.playlist.total + state.score })));
+    }
+
+    const controller = this.createController(this.instance, this.session);
+    const defaultActions = controller.restart
+      ? [{ label: t('summary.playAgain'), onClick: () => controller.restart() }]
+      : [];
+
+    ModalManager.open({
+      title: result.title || t('summary.complete', { title: config.title || t('summary.game') }),
+      body: DOMUtils.createElement('div', { className: 'game-summary' }, rows),
+      actions: actions || defaultActions,
+      onClose
+    });
   }
 }
 
 // Initialize the game loader when the script loads
-GameLoader.initialize();
+EmbedBridge.init();
+ProgressDataManager.bind();
+AccessibilityManager.bind();
+GameLoader.initialize().catch((error) => {
+  // Only reached if showing the error failed too
+  console.error('Game loader failed to start:', error);
+  UIManager.showError(t('errors.loadFailed'), error && error.message);
+});
 
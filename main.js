@@ -84,11 +84,23 @@ export const ArrayUtils = {
    * Get multiple random items from array
    * @param {Array} array - Array to pick from
    * @param {number} count - Number of items to pick
-   * @returns {Array} Array of random items
+   * @param {Function} weightOf - Optional item -> weight; heavier items are more
+   *   likely to be picked (and picked earlier), weight 0 is never picked
+   * @returns {Array} Array of random items, without repeats
    */
-  randomItems(array, count) {
-    const shuffled = this.shuffle(array);
-    return shuffled.slice(0, Math.min(count, array.length));
+  randomItems(array, count, weightOf = null) {
+    if (!weightOf) {
+      const shuffled = this.shuffle(array);
+      return shuffled.slice(0, Math.min(count, array.length));
+    }
+    // Weighted sampling without replacement: sort by random^(1/weight)
+    return array
+      .map(item => ({ item, weight: Number(weightOf(item)) }))
+      .filter(({ weight }) => weight > 0)
+      .map(({ item, weight }) => ({ item, key: Math.random() ** (1 / weight) }))
+      .sort((a, b) => b.key - a.key)
+      .slice(0, Math.max(0, count))
+      .map(({ item }) => item);
   },
 
   /**
@@ -207,6 +219,108 @@ export const DOMUtils = {
   }
 };
 
+/**
+ * Accessibility utilities: keyboard play and screen reader announcements
+ */
+export const A11yUtils = {
+  /**
+   * Make the cards in a grid keyboard controls: one tab stop for the grid,
+   * arrow keys (and Home/End) to move between cards, Enter/Space to click
+   * @param {HTMLElement} grid - Element holding the cards
+   * @param {string} selector - Cards inside the grid (default: .card)
+   * @returns {Function} Cleanup function
+   */
+  makeCardGrid(grid, selector = '.card') {
+    const items = () => Array.from(grid.querySelectorAll(selector));
+    const setTabStop = (target) => {
+      items().forEach(item => {
+        item.tabIndex = item === target ? 0 : -1;
+      });
+    };
+    items().forEach(item => item.setAttribute('role', 'button'));
+    setTabStop(items()[0]);
+
+    const onKeyDown = (event) => {
+      const cards = items();
+      const index = cards.indexOf(event.target.closest(selector));
+      if (index === -1) return;
+
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        cards[index].click();
+        return;
+      }
+
+      const columns = this.countColumns(cards);
+      const step = getComputedStyle(grid).direction === 'rtl' ? -1 : 1;
+      const moves = { ArrowRight: step, ArrowLeft: -step, ArrowDown: columns, ArrowUp: -columns };
+      let next;
+      if (event.key in moves) {
+        next = index + moves[event.key];
+      } else if (event.key === 'Home') {
+        next = 0;
+      } else if (event.key === 'End') {
+        next = cards.length - 1;
+      } else {
+        return;
+      }
+      event.preventDefault();
+      if (next < 0 || next >= cards.length) return;
+      setTabStop(cards[next]);
+      cards[next].focus();
+    };
+    // Clicking a card also makes it the tab stop
+    const onFocusIn = (event) => {
+      const card = event.target.closest(selector);
+      if (card) setTabStop(card);
+    };
+
+    grid.addEventListener('keydown', onKeyDown);
+    grid.addEventListener('focusin', onFocusIn);
+    return () => {
+      grid.removeEventListener('keydown', onKeyDown);
+      grid.removeEventListener('focusin', onFocusIn);
+    };
+  },
+
+  /**
+   * Cards per row, from where the cards actually wrapped
+   * @param {Array<HTMLElement>} cards - Cards in DOM order
+   * @returns {number} Column count (at least 1)
+   */
+  countColumns(cards) {
+    if (cards.length === 0) return 1;
+    const top = cards[0].offsetTop;
+    return Math.max(1, cards.filter(card => card.offsetTop === top).length);
+  },
+
+  /**
+   * Read a message out through the page's live region (#game-announcer)
+   * @param {string} message - Text for screen readers
+   */
+  announce(message) {
+    let region = document.getElementById('game-announcer');
+    if (!region) {
+      region = DOMUtils.createElement('div', { id: 'game-announcer', className: 'visually-hidden', role: 'status', 'aria-live': 'polite' });
+      document.body.appendChild(region);
+    }
+    // Clear first so the same message twice in a row is still announced
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 50);
+  },
+
+  /**
+   * Whether to skip animations (system setting or the player's accessibility options)
+   * @returns {boolean}
+   */
+  prefersReducedMotion() {
+    return document.documentElement.classList.contains('a11y-reduce-motion') ||
+      (typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+};
+
 /**
  * Animation and timing utilities
  */
@@ -228,6 +342,7 @@ export const AnimationUtils = {
    * @returns {Promise} Promise that resolves when animation completes
    */
   async animateClass(element, animationClass, duration = 300) {
+    if (A11yUtils.prefersReducedMotion()) return;
     element.classList.add(animationClass);
     await this.delay(duration);
     element.classList.remove(animationClass);
@@ -241,12 +356,61 @@ export const AnimationUtils = {
    * @returns {Promise} Promise that resolves when all animations complete
    */
   async staggerAnimation(elements, animationClass, staggerDelay = 100) {
+    if (A11yUtils.prefersReducedMotion()) return;
     const promises = elements.map((element, index) => 
       this.delay(index * staggerDelay).then(() => 
         this.animateClass(element, animationClass)
       )
     );
     await Promise.all(promises);
+  },
+
+  /**
+   * Timeouts for a game that stop while it is paused and run on for what was
+   * left when it resumes
+   * @returns {Object} { later(fn, ms), hold(), resume(), clear() }
+   */
+  createTimers() {
+    const timers = new Set();
+    let held = false;
+
+    const start = (timer) => {
+      timer.due = Date.now() + timer.remaining;
+      timer.id = setTimeout(() => {
+        timers.delete(timer);
+        timer.fn();
+      }, timer.remaining);
+    };
+
+    return {
+      later(fn, ms) {
+        const timer = { fn, remaining: ms };
+        timers.add(timer);
+        if (!held) start(timer);
+      },
+
+      hold() {
+        if (held) return;
+        held = true;
+        timers.forEach(timer => {
+          clearTimeout(timer.id);
+          timer.remaining = Math.max(0, timer.due - Date.now());
+        });
+      },
+
+      resume() {
+        if (!held) return;
+        held = false;
+        timers.forEach(start);
+      },
+
+      // Drop every pending timeout, e.g. on restart; new ones start running again
+      clear() {
+        timers.forEach(timer => clearTimeout(timer.id));
+        timers.clear();
+        held = false;
+      }
+    };
   }
 };
 
@@ -362,31 +526,53 @@ export const AudioUtils = {
  * Storage utilities (memory-based for Claude.ai compatibility)
  */
 export const StorageUtils = {
-  // In-memory storage (session-only)
-  _storage: new Map(),
+  // Small synchronous key/value store kept in localStorage (memory when that is
+  // unavailable, e.g. some private browsing modes). For per-game progress use
+  // openPlayerStore() from storage.js, which namespaces, versions and exports it.
+  _prefix: '3c_',
+  _fallback: new Map(),
+
+  _backend() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  },
 
   /**
-   * Store data in memory
+   * Store data
    * @param {string} key - Storage key
    * @param {*} value - Value to store
    */
   setItem(key, value) {
+    const text = JSON.stringify(value);
+    const backend = this._backend();
     try {
-      this._storage.set(key, JSON.stringify(value));
+      if (backend) {
+        backend.setItem(this._prefix + key, text);
+        // getItem reads memory first; drop any copy left by an earlier failed write
+        this._fallback.delete(key);
+        return;
+      }
     } catch (error) {
-      console.warn('Storage failed:', error);
+      console.warn('Storage failed, keeping value in memory:', error);
     }
+    this._fallback.set(key, text);
   },
 
   /**
-   * Retrieve data from memory
+   * Retrieve data
    * @param {string} key - Storage key
    * @param {*} defaultValue - Default value if key not found
    * @returns {*} Stored value or default
    */
   getItem(key, defaultValue = null) {
     try {
-      const value = this._storage.get(key);
+      const backend = this._backend();
+      const value = this._fallback.has(key)
+        ? this._fallback.get(key)
+        : backend && backend.getItem(this._prefix + key);
       return value ? JSON.parse(value) : defaultValue;
     } catch (error) {
       console.warn('Storage retrieval failed:', error);
@@ -399,14 +585,18 @@ export const StorageUtils = {
    * @param {string} key - Storage key
    */
   removeItem(key) {
-    this._storage.delete(key);
+    this._fallback.delete(key);
+    const backend = this._backend();
+    if (backend) backend.removeItem(this._prefix + key);
   },
 
   /**
-   * Clear all storage
+   * Clear all storage (only keys written through StorageUtils)
    */
   clear() {
-    this._storage.clear();
+    const backend = this._backend();
+    this.keys().forEach(key => backend && backend.removeItem(this._prefix + key));
+    this._fallback.clear();
   },
 
   /**
@@ -414,7 +604,102 @@ export const StorageUtils = {
    * @returns {Array} Array of all keys
    */
   keys() {
-    return Array.from(this._storage.keys());
+    const backend = this._backend();
+    const stored = backend
+      ? Object.keys(backend).filter(key => key.startsWith(this._prefix)).map(key => key.slice(this._prefix.length))
+      : [];
+    return [...new Set([...stored, ...this._fallback.keys()])];
+  }
+};
+
+/**
+ * Asset path utilities
+ */
+export const AssetUtils = {
+  /**
+   * Resolve a config asset reference to a loadable URL.
+   * Bare filenames (e.g. "card1.png") are looked up under the base folder;
+   * anything with a path, protocol or data/blob scheme is used as given.
+   * @param {string} src - Asset reference from a config
+   * @param {string} base - Folder for bare filenames (default: assets/cards/)
+   * @returns {string|null} Resolved URL or null when no asset is set
+   */
+  resolve(src, base = 'assets/cards/') {
+    if (!src) return null;
+    if (/^[a-z]+:/i.test(src) || src.includes('/')) {
+      return src;
+    }
+    return `${base.replace(/\/?$/, '/')}${src}`;
+  },
+
+  /**
+   * Load one image or sound, giving up after a timeout and retrying
+   * @param {string} src - Asset URL
+   * @param {Object} options
+   * @param {string} [options.type] - 'image' | 'sound' (default: guessed from the extension)
+   * @param {number} [options.timeoutMs] - Per-attempt timeout (default: 10000)
+   * @param {number} [options.retries] - Extra attempts after a failure or timeout (default: 2)
+   * @returns {Promise<Object>} { src, ok, attempts, error } - never rejects
+   */
+  async load(src, { type = this.typeOf(src), timeoutMs = 10000, retries = 2 } = {}) {
+    let error = null;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      try {
+        await this.withTimeout(type === 'sound' ? this.fetchSound(src) : this.loadImage(src), timeoutMs, src);
+        return { src, ok: true, attempts: attempt, error: null };
+      } catch (err) {
+        error = err;
+      }
+    }
+    return { src, ok: false, attempts: retries + 1, error };
+  },
+
+  /**
+   * Load a list of assets, reporting progress as each one settles
+   * @param {Array<string>} sources - Asset URLs (duplicates are loaded once)
+   * @param {Object} options - load() options plus onProgress(loaded, total, result)
+   * @returns {Promise<Array>} load() results, failed ones included
+   */
+  async preload(sources, { onProgress = () => {}, ...options } = {}) {
+    const unique = [...new Set(sources.filter(Boolean))];
+    let loaded = 0;
+    return Promise.all(unique.map(async src => {
+      const result = await this.load(src, options);
+      loaded++;
+      onProgress(loaded, unique.length, result);
+      return result;
+    }));
+  },
+
+  typeOf(src) {
+    return /\.(mp3|ogg|wav|m4a|aac|webm)(\?|#|$)/i.test(src) ? 'sound' : 'image';
+  },
+
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Could not load image ${src}`));
+      img.src = src;
+    });
+  },
+
+  // Sounds are fetched rather than put in an <audio> element: mobile browsers
+  // won't buffer audio before a user gesture, but the HTTP cache still warms up
+  async fetchSound(src) {
+    const response = await fetch(src);
+    if (!response.ok) {
+      throw new Error(`Could not load sound ${src} (HTTP ${response.status})`);
+    }
+    return response.blob();
+  },
+
+  withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms: ${label}`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
   }
 };
 
@@ -478,39 +763,256 @@ export const PerformanceUtils = {
 
 /**
  * Validation utilities
+ *
+ * Supports the JSON Schema subset our game schemas use: type, enum, required,
+ * properties, additionalProperties, items, anyOf, minimum/maximum,
+ * minLength/maxLength, pattern, minItems/maxItems and default.
+ *
+ * Known authoring mistakes are reported as warnings instead of errors:
+ * - a missing optional value that has a default is filled in silently
+ * - an invalid optional value that has a default is replaced by the default
+ * - numbers and booleans written as strings ("500", "true") are converted
+ * - unknown keys where additionalProperties is false are kept, with a
+ *   "did you mean" hint when they look like a misspelled known key
  */
 export const ValidationUtils = {
   /**
-   * Validate game configuration
+   * Validate game configuration against a schema
    * @param {Object} config - Game configuration
-   * @param {Array} requiredFields - Required field names
-   * @returns {Object} Validation result
+   * @param {Object} schema - JSON Schema for the config's game type
+   * @returns {Object} Validation result: { valid, errors, warnings, config }
+   *   where errors/warnings are { path, message } and config has defaults applied
    */
-  validateConfig(config, requiredFields = []) {
+  validateConfig(config, schema) {
     const errors = [];
     const warnings = [];
+    const normalized = this.validateValue(config, schema || {}, '$', { errors, warnings });
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      config: normalized
+    };
+  },
+
+  /**
+   * Validate a single value, collecting issues and returning the normalized value
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema for this value
+   * @param {string} path - JSON path of the value (e.g. $.cards[0].message)
+   * @param {Object} issues - { errors, warnings } arrays to append to
+   * @returns {*} Normalized value
+   */
+  validateValue(value, schema, path, issues) {
+    if (schema.anyOf) {
+      for (const option of schema.anyOf) {
+        const attempt = { errors: [], warnings: [] };
+        const result = this.validateValue(value, option, path, attempt);
+        if (attempt.errors.length === 0) {
+          issues.warnings.push(...attempt.warnings);
+          return result;
+        }
+      }
+      issues.errors.push({ path, message: schema.description
+        ? `Expected ${schema.description}`
+        : 'Value does not match any allowed form' });
+      return value;
+    }
+
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !types.some(type => this.matchesType(value, type))) {
+      const coerced = this.coerce(value, types);
+      if (coerced !== undefined) {
+        issues.warnings.push({ path, message: `Expected ${types.join(' or ')}, converted ${JSON.stringify(value)}` });
+        value = coerced;
+      } else {
+        issues.errors.push({ path, message: `Expected ${types.join(' or ')}, got ${this.typeOf(value)}` });
+        return value;
+      }
+    }
 
-    // Check required fields
-    requiredFields.forEach(field => {
-      if (!config.hasOwnProperty(field) || config[field] === null || config[field] === undefined) {
-        errors.push(`Missing required field: ${field}`);
+    if (schema.enum && !schema.enum.includes(value)) {
+      issues.errors.push({ path, message: `Must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        issues.errors.push({ path, message: `Must be at least ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        issues.errors.push({ path, message: `Must be at most ${schema.maximum}` });
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        issues.errors.push({ path, message: schema.minLength === 1
+          ? 'Must not be empty'
+          : `Must be at least ${schema.minLength} characters` });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        issues.errors.push({ path, message: `Must be at most ${schema.maxLength} characters` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        issues.errors.push({ path, message: `Does not match pattern ${schema.pattern}` });
       }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        issues.errors.push({ path, message: `Needs at least ${schema.minItems} item(s)` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        issues.errors.push({ path, message: `Allows at most ${schema.maxItems} item(s)` });
+      }
+      if (schema.items) {
+        return value.map((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`, issues));
+      }
+      return value;
+    }
+
+    if (this.matchesType(value, 'object') && (schema.properties || schema.required)) {
+      return this.validateObject(value, schema, path, issues);
+    }
+
+    return value;
+  },
+
+  validateObject(value, schema, path, issues) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const result = { ...value };
+
+    // One error per missing field; a null one isn't also checked against its type
+    const missing = required.filter(key => value[key] === undefined || value[key] === null);
+    missing.forEach(key => {
+      issues.errors.push({ path: `${path}.${key}`, message: 'Missing required field' });
     });
 
-    // Check common game fields
-    if (config.cards && !Array.isArray(config.cards)) {
-      errors.push('Cards must be an array');
+    Object.entries(properties).forEach(([key, propSchema]) => {
+      const propPath = `${path}.${key}`;
+      if (missing.includes(key)) return;
+
+      if (value[key] === undefined) {
+        if (propSchema.default !== undefined) {
+          result[key] = this.clone(propSchema.default);
+        }
+        return;
+      }
+
+      const propIssues = { errors: [], warnings: [] };
+      const normalized = this.validateValue(value[key], propSchema, propPath, propIssues);
+
+      if (propIssues.errors.length > 0 && propSchema.default !== undefined && !required.includes(key)) {
+        issues.warnings.push(...propIssues.warnings, ...propIssues.errors.map(issue => ({
+          path: issue.path,
+          message: `${issue.message}; using default ${JSON.stringify(propSchema.default)}`
+        })));
+        result[key] = this.clone(propSchema.default);
+        return;
+      }
+
+      issues.errors.push(...propIssues.errors);
+      issues.warnings.push(...propIssues.warnings);
+      result[key] = normalized;
+    });
+
+    if (schema.additionalProperties === false) {
+      const known = Object.keys(properties);
+      Object.keys(value)
+        .filter(key => !known.includes(key))
+        .forEach(key => {
+          const suggestion = this.closestKey(key, known);
+          issues.warnings.push({
+            path: `${path}.${key}`,
+            message: suggestion
+              ? `Unknown field '${key}' is not used (did you mean '${suggestion}'?)`
+              : `Unknown field '${key}' is not used`
+          });
+        });
     }
 
-    if (config.timeLimit && (typeof config.timeLimit !== 'number' || config.timeLimit <= 0)) {
-      warnings.push('Invalid time limit, using default');
+    return result;
+  },
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null': return value === null;
+      default: return typeof value === type;
     }
+  },
 
-    return {
-      valid: errors.length === 0,
-      errors,
-      warnings
-    };
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  },
+
+  // Convert the string forms authors commonly type by mistake
+  coerce(value, types) {
+    if (typeof value !== 'string') return undefined;
+    const trimmed = value.trim();
+
+    if ((types.includes('number') || types.includes('integer')) && trimmed !== '' && !isNaN(trimmed)) {
+      const number = Number(trimmed);
+      if (types.includes('number') || Number.isInteger(number)) return number;
+    }
+    if (types.includes('boolean') && (trimmed === 'true' || trimmed === 'false')) {
+      return trimmed === 'true';
+    }
+    return undefined;
+  },
+
+  // Suggest a known key for a likely typo (case slip or edit distance <= 2)
+  closestKey(key, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    candidates.forEach(candidate => {
+      const distance = candidate.toLowerCase() === key.toLowerCase()
+        ? 0
+        : this.editDistance(key, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  },
+
+  editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        prev = current;
+      }
+    }
+    return row[b.length];
+  },
+
+  clone(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  },
+
+  /**
+   * Format validation issues as "path: message" lines
+   * @param {Array} issues - Issues from validateConfig
+   * @returns {Array} Array of strings
+   */
+  formatIssues(issues) {
+    return issues.map(issue => `${issue.path}: ${issue.message}`);
   }
 };
 
@@ -519,10 +1021,12 @@ export default {
   StringUtils,
   ArrayUtils,
   DOMUtils,
+  A11yUtils,
   AnimationUtils,
   GameStateUtils,
   AudioUtils,
   StorageUtils,
+  AssetUtils,
   PerformanceUtils,
   ValidationUtils
 };
@@ -0,0 +1,261 @@
+// remote-config.js
+// Safety checks for game configs the loader fetches by URL (?configUrl= and
+// playlist entries), and the sanitizer every loaded config goes through before
+// a game module sees it.
+//
+// Config URLs must come from this page's own origin, an origin listed in
+// REMOTE_CONFIG.allowedOrigins, or a blob: URL made by this page (the admin
+// editor's live preview). A URL may carry an SRI-style hash, written like a
+// <script integrity> value, that the fetched bytes must match:
+//   index.html?configUrl=https://cdn.example.com/game.json&integrity=sha256-<base64>
+//   { "configUrl": "https://cdn.example.com/game.json", "integrity": "sha384-<base64>" }
+// Several space-separated hashes may be given; as in SRI, only those using the
+// strongest algorithm listed are compared.
+
+export const REMOTE_CONFIG = {
+  // Origins other than this site that configs may be loaded from, e.g. 'https://cdn.example.com'
+  allowedOrigins: [],
+  // Refuse configs from other origins unless they come with an integrity hash
+  requireIntegrity: false,
+  // Largest config accepted from an http(s) URL. blob: URLs are exempt: they
+  // are made by this page and may carry the editor's uploaded images inline.
+  maxBytes: 1024 * 1024,
+  // Deepest nesting of objects and arrays a config may have
+  maxDepth: 32
+};
+
+// Strongest first
+const INTEGRITY_ALGORITHMS = { sha512: 'SHA-512', sha384: 'SHA-384', sha256: 'SHA-256' };
+
+// Theme names are folder names under assets/themes: no slashes or dots
+export const THEME_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Keys that could reach Object.prototype when a config is merged into another object
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Keys whose values are image URLs (see AssetUtils.resolve); "sounds" maps hold sound URLs
+const ASSET_KEYS = new Set(['image', 'frontImage', 'thumbnail']);
+
+export class RemoteConfigError extends Error {
+  constructor(message, type = 'REMOTE_CONFIG_ERROR') {
+    super(message);
+    this.name = 'RemoteConfigError';
+    this.type = type;
+  }
+}
+
+/**
+ * Check a config URL against the allowlist
+ * @param {string} url - Absolute or page-relative URL
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Defaults to REMOTE_CONFIG
+ * @param {string} [options.base] - Page URL relative URLs resolve against
+ * @returns {URL} The parsed URL
+ * @throws {RemoteConfigError} INVALID_URL | ORIGIN_NOT_ALLOWED
+ */
+export function checkConfigUrl(url, { settings = REMOTE_CONFIG, base = window.location.href } = {}) {
+  let target;
+  try {
+    target = new URL(url, base);
+  } catch (error) {
+    throw new RemoteConfigError(`'${url}' is not a valid config URL`, 'INVALID_URL');
+  }
+
+  const pageOrigin = new URL(base).origin;
+  if (target.protocol === 'blob:') {
+    if (target.origin === pageOrigin) return target;
+    throw new RemoteConfigError('Only blob: URLs created by this page can be loaded', 'ORIGIN_NOT_ALLOWED');
+  }
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    throw new RemoteConfigError(`Configs can't be loaded from ${target.protocol} URLs`, 'ORIGIN_NOT_ALLOWED');
+  }
+  if (target.origin === pageOrigin || allowedOrigins(settings).includes(target.origin)) {
+    return target;
+  }
+  throw new RemoteConfigError(`Configs from ${target.origin} are not allowed on this site`, 'ORIGIN_NOT_ALLOWED');
+}
+
+/**
+ * Fetch a config by URL: allowlist, size limit and integrity hash, then parse
+ * @param {string} url - Config URL
+ * @param {Object} [options]
+ * @param {string} [options.integrity] - SRI-style hash(es) the bytes must match
+ * @param {Object} [options.settings] - Defaults to REMOTE_CONFIG
+ * @returns {Promise<Object>} The parsed (not yet sanitized) config
+ * @throws {RemoteConfigError} with type ORIGIN_NOT_ALLOWED | INTEGRITY_REQUIRED |
+ *   INTEGRITY_MISMATCH | INTEGRITY_UNAVAILABLE | TOO_LARGE | HTTP_ERROR | INVALID_JSON (and INVALID_URL)
+ */
+export async function fetchConfig(url, { integrity = null, settings = REMOTE_CONFIG } = {}) {
+  const target = checkConfigUrl(url, { settings });
+  const isBlob = target.protocol === 'blob:';
+  if (!integrity && !isBlob && target.origin !== window.location.origin && settings.requireIntegrity) {
+    throw new RemoteConfigError(`Configs from ${target.origin} need an integrity hash`, 'INTEGRITY_REQUIRED');
+  }
+
+  // A redirect has to land on an allowed origin too
+  const response = await fetch(target.href);
+  if (response.redirected && response.url) checkConfigUrl(response.url, { settings });
+  if (!response.ok) {
+    throw new RemoteConfigError(`HTTP ${response.status}: ${response.statusText}`, 'HTTP_ERROR');
+  }
+
+  const bytes = await readBody(response, isBlob ? Infinity : settings.maxBytes);
+  if (integrity) await verifyIntegrity(bytes, integrity);
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new RemoteConfigError(`The config is not valid JSON: ${error.message}`, 'INVALID_JSON');
+  }
+}
+
+/**
+ * Check bytes against SRI-style hashes ("sha256-<base64> sha384-<base64>")
+ * @param {ArrayBuffer|Uint8Array} bytes - Content to check
+ * @param {string} integrity - One or more space-separated hashes
+ * @throws {RemoteConfigError} INTEGRITY_MISMATCH (also for a value with no usable hash), or
+ *   INTEGRITY_UNAVAILABLE where the browser can't hash (crypto.subtle needs HTTPS)
+ */
+export async function verifyIntegrity(bytes, integrity) {
+  const hashes = String(integrity).trim().split(/\s+/)
+    .map(token => token.match(/^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})(\?.*)?$/))
+    .filter(Boolean)
+    .map(([, algorithm, digest]) => ({ algorithm, digest }));
+  const strongest = Object.keys(INTEGRITY_ALGORITHMS).find(algorithm => hashes.some(hash => hash.algorithm === algorithm));
+  if (!strongest) {
+    throw new RemoteConfigError(`'${integrity}' has no sha256, sha384 or sha512 hash`, 'INTEGRITY_MISMATCH');
+  }
+
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new RemoteConfigError('This page cannot check integrity hashes (it needs HTTPS)', 'INTEGRITY_UNAVAILABLE');
+  }
+  const digest = toBase64(await crypto.subtle.digest(INTEGRITY_ALGORITHMS[strongest], bytes));
+  if (!hashes.some(hash => hash.algorithm === strongest && hash.digest === digest)) {
+    throw new RemoteConfigError(`The config does not match its ${strongest} integrity hash`, 'INTEGRITY_MISMATCH');
+  }
+}
+
+/**
+ * Copy of a loaded config that is safe to hand to game modules: prototype
+ * keys are dropped, and so are asset URLs with a script-capable scheme or
+ * characters that could break out of CSS url('...'), and theme names that
+ * aren't plain folder names. Dropped values are logged.
+ * @param {Object} config - Parsed config (from any source)
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Defaults to REMOTE_CONFIG (for maxDepth)
+ * @returns {Object} Sanitized copy
+ * @throws {RemoteConfigError} INVALID_CONFIG when the config isn't an object or nests too deeply
+ */
+export function sanitizeConfig(config, { settings = REMOTE_CONFIG } = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new RemoteConfigError('A config must be a JSON object', 'INVALID_CONFIG');
+  }
+  const dropped = [];
+
+  const walk = (value, path, depth, key = null, parentKey = null) => {
+    if (depth > settings.maxDepth) {
+      throw new RemoteConfigError(`The config nests deeper than ${settings.maxDepth} levels at ${path}`, 'INVALID_CONFIG');
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => walk(item, `${path}[${index}]`, depth + 1, null, key));
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      Object.keys(value).forEach(childKey => {
+        const childPath = `${path}.${childKey}`;
+        if (UNSAFE_KEYS.has(childKey)) {
+          dropped.push(childPath);
+          return;
+        }
+        const item = walk(value[childKey], childPath, depth + 1, childKey, key);
+        if (item === undefined) {
+          dropped.push(childPath);
+        } else {
+          copy[childKey] = item;
+        }
+      });
+      return copy;
+    }
+    if (typeof value === 'string' && (ASSET_KEYS.has(key) || parentKey === 'sounds') && !isSafeAssetUrl(value)) {
+      return undefined;
+    }
+    return value;
+  };
+
+  const result = walk(config, '$', 0);
+  if (typeof result.theme === 'string' && !THEME_NAME_PATTERN.test(result.theme)) {
+    dropped.push('$.theme');
+    delete result.theme;
+  }
+  if (dropped.length > 0) {
+    console.warn(`Unsafe config values were removed: ${dropped.join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Whether an asset reference is a relative path or an http(s), blob: or
+ * image/audio data: URL, with nothing that could end a CSS url('...')
+ * @param {string} src - Asset reference from a config
+ * @returns {boolean}
+ */
+export function isSafeAssetUrl(src) {
+  if (/['"\\\u0000-\u001f\u007f]/.test(src)) return false;
+  const scheme = src.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return true;
+  const protocol = scheme[1].toLowerCase();
+  if (protocol === 'data') return /^data:(image|audio)\//i.test(src);
+  return ['http', 'https', 'blob'].includes(protocol);
+}
+
+function allowedOrigins(settings) {
+  return (settings.allowedOrigins || []).map(origin => {
+    try {
+      return new URL(origin).origin;
+    } catch (error) {
+      console.warn(`Ignoring invalid entry in REMOTE_CONFIG.allowedOrigins: ${origin}`);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+// Read at most maxBytes of the body, giving up early when the server says it's bigger
+async function readBody(response, maxBytes) {
+  const tooLarge = () => new RemoteConfigError(`The config is larger than ${maxBytes} bytes`, 'TOO_LARGE');
+  const declared = Number(response.headers && response.headers.get('content-length'));
+  if (declared > maxBytes) throw tooLarge();
+
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const buffer = new Uint8Array(await response.arrayBuffer());
+    if (buffer.byteLength > maxBytes) throw tooLarge();
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+function toBase64(buffer) {
+  let binary = '';
+  new Uint8Array(buffer).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
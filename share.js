@@ -0,0 +1,387 @@
+// share.js
+// Result cards players can share: a finished game's result drawn on a canvas
+// (theme background, game title, result message, card image and 3C branding),
+// exported as a PNG and handed to the Web Share API, or downloaded with the
+// link copied where the browser can't share files.
+//
+// What is shared comes from the config's optional "share" block (see
+// SHARE_SCHEMA); both texts may be translated and may use {game}, {message}
+// and {score}:
+//   "share": { "title": "My 3C card", "text": "I drew \"{message}\" in {game}!" }
+//
+// Shared links reopen the same game. A result with a "shareId" (the card
+// picked in card-flip, a quiz profile) also adds ?card=<shareId>, and the game
+// module's sharedResult(config, shareId) rebuilds that result for whoever
+// opens the link.
+import { AssetUtils } from './main.js';
+import { interpolate } from './i18n.js';
+
+export const SHARE_CARD = {
+  width: 1200,
+  height: 630,
+  // Drawn along the bottom like the page header: "<badge> <brand>"
+  badge: '3C',
+  brand: 'Thread to Success',
+  type: 'image/png'
+};
+
+// URL parameter a shared link uses for the result's shareId
+export const LINK_PARAM = 'card';
+
+// JSON Schema for a config's "share" block (added to every game's schema by the loader)
+export const SHARE_SCHEMA = {
+  type: 'object',
+  title: 'Sharing',
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', title: 'Share title', description: 'Defaults to the game title.' },
+    text: {
+      type: 'string', title: 'Share text',
+      description: 'Sent with the image and link. May use {game}, {message} and {score}.'
+    }
+  }
+};
+
+// Used where a theme doesn't set its own (same as the style.css defaults)
+const DEFAULT_COLORS = { primary: '#4A148C', accent: '#FFED4A', secondary: '#03DAC6', text: '#FFFFFF' };
+const DEFAULT_FONT = "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif";
+
+const PADDING = 64;
+const FOOTER_HEIGHT = 72;
+const IMAGE_TIMEOUT_MS = 5000;
+
+export class ShareError extends Error {
+  constructor(message, type = 'SHARE_ERROR') {
+    super(message);
+    this.name = 'ShareError';
+    this.type = type;
+  }
+}
+
+/**
+ * Title and text to share, from the config's "share" block or the defaults given
+ * @param {Object} share - The config's (localized) "share" block, if any
+ * @param {Object} params - { game, message, score } for the placeholders
+ * @param {Object} defaults - { title, text } used where the config sets none
+ * @returns {Object} { title, text }
+ */
+export function shareText(share, params, defaults) {
+  const block = share && typeof share === 'object' ? share : {};
+  return {
+    title: interpolate(block.title || defaults.title || '', params),
+    text: interpolate(block.text || defaults.text || '', params)
+  };
+}
+
+/**
+ * A page URL that reopens the same game, pointing at one result if given
+ * @param {string} href - URL of the game page
+ * @param {string|number} [shareId] - The result's shareId
+ * @returns {string}
+ */
+export function resultLink(href, shareId = null) {
+  const url = new URL(href);
+  url.searchParams.delete(LINK_PARAM);
+  if (shareId !== null && shareId !== undefined) {
+    url.searchParams.set(LINK_PARAM, String(shareId));
+  }
+  url.hash = '';
+  return url.href;
+}
+
+/**
+ * Draw a result card
+ * @param {Object} card
+ * @param {string} card.title - Game title (top line)
+ * @param {string} [card.heading] - Result title, e.g. the quiz profile
+ * @param {string} [card.message] - Result message, the largest text
+ * @param {Array<string>} [card.details] - Short stats, e.g. "Score 700"
+ * @param {string} [card.image] - Card or profile image URL
+ * @param {Object} [card.theme] - Theme manifest (see ThemeManager in loader.js)
+ * @param {string} [card.direction] - 'ltr' | 'rtl'
+ * @param {HTMLCanvasElement} [card.canvas] - Canvas to draw on (a new one by default)
+ * @returns {Promise<HTMLCanvasElement>}
+ * @throws {ShareError} UNSUPPORTED when the browser has no 2D canvas
+ */
+export async function drawResultCard({
+  title,
+  heading = '',
+  message = '',
+  details = [],
+  image = null,
+  theme = null,
+  direction = 'ltr',
+  canvas = document.createElement('canvas')
+}) {
+  const { width, height } = SHARE_CARD;
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  if (!ctx) {
+    throw new ShareError('This browser cannot draw result cards', 'UNSUPPORTED');
+  }
+
+  const colors = { ...DEFAULT_COLORS, ...((theme && theme.colors) || {}) };
+  const fonts = { body: DEFAULT_FONT, display: DEFAULT_FONT, ...((theme && theme.fonts) || {}) };
+  const images = (theme && theme.images) || {};
+  const rtl = direction === 'rtl';
+  // Theme fonts may still be loading; the canvas would fall back without them
+  if (document.fonts && document.fonts.ready) await document.fonts.ready;
+  const [background, picture] = await Promise.all([loadImage(images.background), loadImage(image)]);
+
+  // Background: the theme picture under a tint so the text stays readable
+  ctx.fillStyle = colors.primary;
+  ctx.fillRect(0, 0, width, height);
+  if (background) {
+    drawCover(ctx, background, 0, 0, width, height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  // Card image on the leading side, text in the rest
+  let textLeft = PADDING;
+  let textWidth = width - PADDING * 2;
+  const bodyHeight = height - PADDING - FOOTER_HEIGHT;
+  if (picture) {
+    const boxHeight = bodyHeight - PADDING;
+    const boxWidth = Math.round(boxHeight * 0.72);
+    const boxLeft = rtl ? width - PADDING - boxWidth : PADDING;
+    ctx.save();
+    roundRect(ctx, boxLeft, PADDING, boxWidth, boxHeight, 24);
+    ctx.clip();
+    drawCover(ctx, picture, boxLeft, PADDING, boxWidth, boxHeight);
+    ctx.restore();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = colors.secondary;
+    roundRect(ctx, boxLeft, PADDING, boxWidth, boxHeight, 24);
+    ctx.stroke();
+    textWidth -= boxWidth + PADDING;
+    if (!rtl) textLeft += boxWidth + PADDING;
+  }
+
+  ctx.direction = rtl ? 'rtl' : 'ltr';
+  ctx.textAlign = 'start';
+  ctx.textBaseline = 'top';
+  const x = rtl ? textLeft + textWidth : textLeft;
+  let y = PADDING;
+
+  ctx.fillStyle = colors.accent;
+  ctx.font = `700 40px ${fonts.display}`;
+  wrapText(ctx, title, textWidth, 2).forEach(line => {
+    ctx.fillText(line, x, y);
+    y += 50;
+  });
+  if (heading) {
+    y += 8;
+    ctx.fillStyle = colors.secondary;
+    ctx.font = `700 34px ${fonts.body}`;
+    wrapText(ctx, heading, textWidth, 2).forEach(line => {
+      ctx.fillText(line, x, y);
+      y += 44;
+    });
+  }
+
+  // The message gets the largest size at which it fits above the details
+  const detailsHeight = details.length > 0 ? 56 : 0;
+  const space = bodyHeight - y - detailsHeight - 16;
+  if (message) {
+    y += 16;
+    const { size, lines } = fitText(ctx, message, textWidth, space, fonts.body);
+    ctx.fillStyle = colors.text;
+    ctx.font = `600 ${size}px ${fonts.body}`;
+    lines.forEach(line => {
+      ctx.fillText(line, x, y);
+      y += Math.round(size * 1.25);
+    });
+  }
+  if (details.length > 0) {
+    ctx.fillStyle = colors.accent;
+    ctx.font = `600 30px ${fonts.body}`;
+    ctx.fillText(wrapText(ctx, details.join(' · '), textWidth, 1)[0], x, bodyHeight - 40);
+  }
+
+  // Branding along the bottom
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+  ctx.fillRect(0, height - FOOTER_HEIGHT, width, FOOTER_HEIGHT);
+  ctx.textBaseline = 'middle';
+  ctx.direction = 'ltr';
+  ctx.fillStyle = colors.accent;
+  ctx.font = `900 36px ${fonts.display}`;
+  ctx.fillText(SHARE_CARD.badge, PADDING, height - FOOTER_HEIGHT / 2);
+  const badgeWidth = ctx.measureText(`${SHARE_CARD.badge} `).width;
+  ctx.fillStyle = colors.text;
+  ctx.font = `500 26px ${fonts.body}`;
+  ctx.fillText(SHARE_CARD.brand, PADDING + badgeWidth, height - FOOTER_HEIGHT / 2);
+  ctx.textAlign = 'end';
+  ctx.fillStyle = colors.secondary;
+  ctx.fillText(window.location.host, width - PADDING, height - FOOTER_HEIGHT / 2);
+
+  return canvas;
+}
+
+/**
+ * Export a canvas as a PNG
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ * @throws {ShareError} EXPORT_FAILED, e.g. when an image from another site tainted the canvas
+ */
+export function toPng(canvas) {
+  return new Promise((resolve, reject) => {
+    const failed = (reason) => reject(new ShareError(`Could not export the result card: ${reason}`, 'EXPORT_FAILED'));
+    try {
+      canvas.toBlob(blob => (blob ? resolve(blob) : failed('empty image')), SHARE_CARD.type);
+    } catch (error) {
+      failed(error.message);
+    }
+  });
+}
+
+/**
+ * Share through the Web Share API when it can take the image, otherwise
+ * download the image and copy the link
+ * @param {Object} data
+ * @param {string} data.title
+ * @param {string} data.text
+ * @param {string} [data.url] - Link to the game
+ * @param {Blob} [data.image] - PNG from toPng()
+ * @param {string} [data.fileName] - Name for the image file
+ * @returns {Promise<Object>} { method: 'share' | 'fallback' | 'cancelled', downloaded, copied }
+ */
+export async function shareResult({ title, text, url = null, image = null, fileName = 'result.png' }) {
+  const nav = window.navigator;
+  const files = image && typeof File === 'function' ? [new File([image], fileName, { type: image.type })] : [];
+  const canShareFiles = files.length > 0 && typeof nav.canShare === 'function' && nav.canShare({ files });
+  if (typeof nav.share === 'function' && (canShareFiles || !image)) {
+    const data = { title, text, ...(url ? { url } : {}), ...(canShareFiles ? { files } : {}) };
+    try {
+      await nav.share(data);
+      return { method: 'share', downloaded: false, copied: false };
+    } catch (error) {
+      if (error.name === 'AbortError') return { method: 'cancelled', downloaded: false, copied: false };
+      console.warn('Web Share failed, downloading instead:', error);
+    }
+  }
+
+  const downloaded = image ? download(image, fileName) : false;
+  const copied = url ? await copyText(url) : false;
+  return { method: 'fallback', downloaded, copied };
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @returns {boolean} Whether the download was started
+ */
+export function download(blob, fileName) {
+  try {
+    const href = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = fileName;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(href), 1000);
+    return true;
+  } catch (error) {
+    console.warn('Could not download the result card:', error);
+    return false;
+  }
+}
+
+/**
+ * Copy text to the clipboard
+ * @returns {Promise<boolean>} false where the clipboard is unavailable or refused
+ */
+export async function copyText(text) {
+  try {
+    if (!navigator.clipboard || typeof navigator.clipboard.writeText !== 'function') return false;
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    console.warn('Could not copy the link:', error);
+    return false;
+  }
+}
+
+// Images from other sites are requested with CORS so they don't taint the canvas;
+// one that can't be loaded is left out of the card
+async function loadImage(src) {
+  if (!src) return null;
+  try {
+    return await AssetUtils.withTimeout(new Promise((resolve, reject) => {
+      const img = new Image();
+      if (/^https?:/i.test(src) && new URL(src, window.location.href).origin !== window.location.origin) {
+        img.crossOrigin = 'anonymous';
+      }
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Could not load image ${src}`));
+      img.src = src;
+    }), IMAGE_TIMEOUT_MS, src);
+  } catch (error) {
+    console.warn('Leaving an image off the result card:', error.message);
+    return null;
+  }
+}
+
+// Fill the box with the image, cropping whatever overflows (like background-size: cover)
+function drawCover(ctx, img, x, y, width, height) {
+  const sourceWidth = img.naturalWidth || img.width;
+  const sourceHeight = img.naturalHeight || img.height;
+  if (!sourceWidth || !sourceHeight) return;
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const cropWidth = width / scale;
+  const cropHeight = height / scale;
+  ctx.drawImage(img, (sourceWidth - cropWidth) / 2, (sourceHeight - cropHeight) / 2, cropWidth, cropHeight, x, y, width, height);
+}
+
+function roundRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+// Largest font size (down to 26px) whose wrapped lines fit in the height
+function fitText(ctx, text, width, height, font) {
+  for (let size = 60; size > 26; size -= 4) {
+    ctx.font = `600 ${size}px ${font}`;
+    const lines = wrapText(ctx, text, width);
+    if (lines.length * size * 1.25 <= height) return { size, lines };
+  }
+  ctx.font = `600 26px ${font}`;
+  return { size: 26, lines: wrapText(ctx, text, width, Math.max(1, Math.floor(height / (26 * 1.25)))) };
+}
+
+// Break text into lines no wider than width; past maxLines the last line ends in "…"
+function wrapText(ctx, text, width, maxLines = Infinity) {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (!line || ctx.measureText(candidate).width <= width) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+    // A single word wider than the line is cut where it overflows
+    while (ctx.measureText(line).width > width && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && ctx.measureText(line.slice(0, cut)).width > width) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  });
+  if (line) lines.push(line);
+
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last.length > 1 && ctx.measureText(`${last}…`).width > width) last = last.slice(0, -1);
+  kept[maxLines - 1] = `${last.trimEnd()}…`;
+  return kept;
+}
@@ -0,0 +1,357 @@
+// storage.js
+// Player progress storage: best scores, daily-reveal locks, seen cards...
+//
+// Data is kept per namespace (one per game slug, plus a few app-level ones
+// like "editor") in a record of the form
+//   { version, data: { key: value, ... }, updatedAt }
+// and written through a backend:
+//   - IndexedDBBackend    → browser IndexedDB (default)
+//   - LocalStorageBackend → window.localStorage, for browsers without IndexedDB
+//   - MemoryBackend       → plain in-memory map, lost on reload
+//
+// Every backend implements:
+//   read(namespace)          → record | null
+//   write(namespace, record) → record
+//   remove(namespace)
+//   list()                   → namespace[]
+//
+// A PlayerStore loads its namespace once, so get() is synchronous and games can
+// read progress while they render; writes go to the backend in the background.
+
+const EXPORT_FORMAT = '3c-player-data';
+
+export class StorageError extends Error {
+  constructor(message, type = 'STORAGE_ERROR') {
+    super(message);
+    this.name = 'StorageError';
+    this.type = type;
+  }
+}
+
+/**
+ * In-memory backend (lost on reload)
+ */
+export class MemoryBackend {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async read(namespace) {
+    const record = this.records.get(namespace);
+    return record ? clone(record) : null;
+  }
+
+  async write(namespace, record) {
+    this.records.set(namespace, clone(record));
+    return clone(record);
+  }
+
+  async remove(namespace) {
+    this.records.delete(namespace);
+  }
+
+  async list() {
+    return Array.from(this.records.keys());
+  }
+}
+
+/**
+ * localStorage backend; each namespace is one JSON string under a prefixed key
+ */
+export class LocalStorageBackend {
+  constructor(prefix = '3c:') {
+    this.prefix = prefix;
+  }
+
+  async read(namespace) {
+    const text = localStorage.getItem(this.prefix + namespace);
+    if (text === null) return null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new StorageError(`Corrupt data for '${namespace}'`, 'CORRUPT_DATA');
+    }
+  }
+
+  async write(namespace, record) {
+    try {
+      localStorage.setItem(this.prefix + namespace, JSON.stringify(record));
+    } catch (error) {
+      throw new StorageError(`Could not save '${namespace}': ${error.message}`, 'QUOTA_EXCEEDED');
+    }
+    return clone(record);
+  }
+
+  async remove(namespace) {
+    localStorage.removeItem(this.prefix + namespace);
+  }
+
+  async list() {
+    return Object.keys(localStorage)
+      .filter(key => key.startsWith(this.prefix))
+      .map(key => key.slice(this.prefix.length));
+  }
+}
+
+/**
+ * IndexedDB backend (persists in this browser, larger quota than localStorage)
+ */
+export class IndexedDBBackend {
+  constructor(dbName = '3c-player-data') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('progress', { keyPath: 'namespace' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(new StorageError(`IndexedDB unavailable: ${request.error}`));
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('progress', mode);
+      const request = operation(tx.objectStore('progress'));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(new StorageError(`IndexedDB error: ${tx.error}`));
+    });
+  }
+
+  async read(namespace) {
+    const row = await this.run('readonly', store => store.get(namespace));
+    if (!row) return null;
+    const { namespace: _, ...record } = row;
+    return record;
+  }
+
+  async write(namespace, record) {
+    await this.run('readwrite', store => store.put({ ...clone(record), namespace }));
+    return clone(record);
+  }
+
+  async remove(namespace) {
+    await this.run('readwrite', store => store.delete(namespace));
+  }
+
+  async list() {
+    return this.run('readonly', store => store.getAllKeys());
+  }
+}
+
+/**
+ * Progress for one namespace. Create with openPlayerStore().
+ */
+export class PlayerStore {
+  constructor(namespace, backend, record) {
+    this.namespace = namespace;
+    this.backend = backend;
+    this.version = record.version;
+    this.data = record.data;
+    this.pending = Promise.resolve();
+  }
+
+  get(key, defaultValue = null) {
+    return key in this.data ? clone(this.data[key]) : defaultValue;
+  }
+
+  set(key, value) {
+    this.data[key] = clone(value);
+    return this.save();
+  }
+
+  /**
+   * Read-modify-write a single key
+   * @param {string} key - Key to update
+   * @param {Function} updater - (current) => next
+   * @param {*} defaultValue - Passed to updater when the key is unset
+   */
+  update(key, updater, defaultValue = null) {
+    return this.set(key, updater(this.get(key, defaultValue)));
+  }
+
+  remove(key) {
+    delete this.data[key];
+    return this.save();
+  }
+
+  clear() {
+    this.data = {};
+    return this.save();
+  }
+
+  keys() {
+    return Object.keys(this.data);
+  }
+
+  // Writes are queued so they land in order; failures are logged, not thrown,
+  // so a full disk never breaks a game in progress
+  save() {
+    const record = { version: this.version, data: clone(this.data), updatedAt: new Date().toISOString() };
+    this.pending = this.pending
+      .then(() => this.backend.write(this.namespace, record))
+      .catch(error => console.warn(`Could not save progress for '${this.namespace}':`, error));
+    return this.pending;
+  }
+
+  flush() {
+    return this.pending;
+  }
+
+  // Pick up writes made since opening, e.g. by the same game in another tab
+  async reload() {
+    await this.pending;
+    const record = await this.backend.read(this.namespace);
+    this.data = record ? record.data || {} : {};
+  }
+
+  export() {
+    return { format: EXPORT_FORMAT, exportedAt: new Date().toISOString(), namespaces: { [this.namespace]: this.toRecord() } };
+  }
+
+  toRecord() {
+    return { version: this.version, data: clone(this.data) };
+  }
+}
+
+/**
+ * Open (and migrate) the store for a namespace
+ * @param {string} namespace - Game slug or app area, e.g. "memory-match" or "editor"
+ * @param {Object} options
+ * @param {string|Object} [options.backend] - 'indexeddb' | 'localstorage' | 'memory' or a backend instance
+ * @param {number} [options.version] - Current data version (default: 1)
+ * @param {Object} [options.migrations] - { [toVersion]: (data) => newData }, run in order
+ * @returns {Promise<PlayerStore>}
+ */
+export async function openPlayerStore(namespace, { backend = defaultBackend(), version = 1, migrations = {} } = {}) {
+  if (!namespace || !/^[a-z0-9-]+$/.test(namespace)) {
+    throw new StorageError(`Invalid storage namespace '${namespace}'`, 'INVALID_NAMESPACE');
+  }
+
+  let store = resolveBackend(backend);
+  let record;
+  try {
+    record = await store.read(namespace);
+  } catch (error) {
+    // Private browsing can refuse IndexedDB/localStorage: play on without saving
+    console.warn(`Progress storage unavailable, using memory for '${namespace}':`, error);
+    store = new MemoryBackend();
+    record = null;
+  }
+
+  if (!record) {
+    return new PlayerStore(namespace, store, { version, data: {} });
+  }
+
+  const migrated = migrate(namespace, record, version, migrations);
+  const playerStore = new PlayerStore(namespace, store, migrated);
+  if (migrated.version !== record.version) await playerStore.save();
+  return playerStore;
+}
+
+function migrate(namespace, record, version, migrations) {
+  let data = record.data || {};
+  let current = record.version || 1;
+
+  if (current > version) {
+    console.warn(`Progress for '${namespace}' is version ${current}, newer than ${version}; leaving it as is`);
+    return { version: current, data };
+  }
+  while (current < version) {
+    current++;
+    if (typeof migrations[current] === 'function') {
+      data = migrations[current](clone(data));
+    }
+  }
+  return { version: current, data };
+}
+
+/**
+ * A store that is never saved, for games started without a loader-provided one
+ * @param {string} namespace - Namespace label
+ * @returns {PlayerStore}
+ */
+export function createMemoryStore(namespace = 'memory') {
+  return new PlayerStore(namespace, new MemoryBackend(), { version: 1, data: {} });
+}
+
+/**
+ * Export every namespace as one JSON-safe object (for a "download my data" file)
+ * @param {string|Object} backend - Backend name or instance
+ * @returns {Promise<Object>} { format, exportedAt, namespaces: { [namespace]: { version, data } } }
+ */
+export async function exportPlayerData(backend = defaultBackend()) {
+  const store = resolveBackend(backend);
+  const namespaces = {};
+  for (const namespace of await store.list()) {
+    const record = await store.read(namespace);
+    if (record) namespaces[namespace] = { version: record.version, data: record.data };
+  }
+  return { format: EXPORT_FORMAT, exportedAt: new Date().toISOString(), namespaces };
+}
+
+/**
+ * Import data from exportPlayerData() (or PlayerStore.export()); existing
+ * namespaces in the file are replaced, others are left alone.
+ * Stores opened earlier keep their old copy, so reload the game afterwards.
+ * @param {Object|string} exported - Parsed object or JSON text
+ * @param {string|Object} backend - Backend name or instance
+ * @returns {Promise<Array<string>>} Imported namespaces
+ */
+export async function importPlayerData(exported, backend = defaultBackend()) {
+  const parsed = typeof exported === 'string' ? JSON.parse(exported) : exported;
+  if (!parsed || parsed.format !== EXPORT_FORMAT || typeof parsed.namespaces !== 'object') {
+    throw new StorageError('Not a 3C player data file', 'INVALID_IMPORT');
+  }
+
+  const store = resolveBackend(backend);
+  const namespaces = Object.keys(parsed.namespaces).filter(namespace => /^[a-z0-9-]+$/.test(namespace));
+  for (const namespace of namespaces) {
+    const { version = 1, data = {} } = parsed.namespaces[namespace] || {};
+    await store.write(namespace, { version, data, updatedAt: new Date().toISOString() });
+  }
+  return namespaces;
+}
+
+/**
+ * Create a backend by name
+ * @param {string} name - 'indexeddb' | 'localstorage' | 'memory'
+ */
+export function createStorageBackend(name) {
+  switch (name) {
+    case 'indexeddb':
+      return new IndexedDBBackend();
+    case 'localstorage':
+      return new LocalStorageBackend();
+    case 'memory':
+      return new MemoryBackend();
+    default:
+      throw new StorageError(`Unknown storage backend '${name}'`, 'UNKNOWN_BACKEND');
+  }
+}
+
+// Named backends are shared, so every store opened with 'indexeddb' uses one connection
+const backends = new Map();
+
+function resolveBackend(backend) {
+  if (typeof backend !== 'string') return backend;
+  if (!backends.has(backend)) backends.set(backend, createStorageBackend(backend));
+  return backends.get(backend);
+}
+
+function defaultBackend() {
+  if (typeof indexedDB !== 'undefined') return 'indexeddb';
+  return typeof localStorage !== 'undefined' ? 'localstorage' : 'memory';
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
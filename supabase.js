@@ -1,17 +1,378 @@
 // supabase.js
-// This is a minimal stub for later Supabase integration.
-// When ready, replace the placeholders with your Supabase URL & KEY and
-// implement functions such as saveGameConfig(), fetchGameList(), uploadAsset().
+// Game data layer: save/load/list/publish game configs and upload assets.
+//
+// All storage goes through an adapter, so the editor and loader work the same
+// against Supabase or against a local stand-in while developing offline:
+//   - SupabaseAdapter  → Supabase REST (PostgREST) + Storage, no SDK needed
+//   - IndexedDBAdapter → browser IndexedDB, survives reloads
+//   - MemoryAdapter    → plain in-memory maps, for tests and throwaway sessions
+//
+// Every adapter implements:
+//   saveConfig(record)          → record
+//   loadConfig(slug)            → record | null
+//   listConfigs()               → record[] (without the config body)
+//   setPublished(slug, flag)    → record
+//   uploadAsset(file, path)     → { path, url }
+//
+// A record is { slug, title, gameType, theme, config, assetsUrl, published, updatedAt }.
+//
+// Expected Supabase table (SQL):
+//   create table game_configs (
+//     slug text primary key, title text, game_type text, theme text,
+//     config jsonb not null, assets_url text, published boolean default false,
+//     updated_at timestamptz default now()
+//   );
+// plus a public storage bucket named in SUPABASE.bucket.
 
 export const SUPABASE = {
   url: 'https://YOUR-PROJECT.supabase.co',
   key: 'PUBLIC-ANON-KEY',
+  table: 'game_configs',
+  bucket: 'game-assets'
 };
 
+export function isSupabaseConfigured(settings = SUPABASE) {
+  return Boolean(settings.url && settings.key)
+    && !settings.url.includes('YOUR-PROJECT')
+    && settings.key !== 'PUBLIC-ANON-KEY';
+}
+
+export class DataStoreError extends Error {
+  constructor(message, type = 'DATA_ERROR') {
+    super(message);
+    this.name = 'DataStoreError';
+    this.type = type;
+  }
+}
+
+/**
+ * Supabase REST + Storage adapter
+ */
+export class SupabaseAdapter {
+  constructor(settings = SUPABASE) {
+    if (!isSupabaseConfigured(settings)) {
+      throw new DataStoreError('Supabase not configured yet.', 'NOT_CONFIGURED');
+    }
+    this.settings = settings;
+  }
+
+  get headers() {
+    return {
+      apikey: this.settings.key,
+      Authorization: `Bearer ${this.settings.key}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.settings.url}${path}`, {
+      ...options,
+      headers: { ...this.headers, ...(options.headers || {}) }
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new DataStoreError(`Supabase ${response.status}: ${text || response.statusText}`, 'REMOTE_ERROR');
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  async saveConfig(record) {
+    const rows = await this.request(`/rest/v1/${this.settings.table}?on_conflict=slug`, {
+      method: 'POST',
+      headers: { Prefer: 'resolution=merge-duplicates,return=representation' },
+      body: JSON.stringify(toRow(record))
+    });
+    return fromRow(rows[0]);
+  }
+
+  async loadConfig(slug) {
+    const rows = await this.request(
+      `/rest/v1/${this.settings.table}?slug=eq.${encodeURIComponent(slug)}&select=*`
+    );
+    return rows.length > 0 ? fromRow(rows[0]) : null;
+  }
+
+  async listConfigs() {
+    const rows = await this.request(
+      `/rest/v1/${this.settings.table}?select=slug,title,game_type,theme,assets_url,published,updated_at&order=updated_at.desc`
+    );
+    return rows.map(fromRow);
+  }
+
+  async setPublished(slug, published) {
+    const rows = await this.request(`/rest/v1/${this.settings.table}?slug=eq.${encodeURIComponent(slug)}`, {
+      method: 'PATCH',
+      headers: { Prefer: 'return=representation' },
+      body: JSON.stringify({ published, updated_at: new Date().toISOString() })
+    });
+    if (rows.length === 0) {
+      throw new DataStoreError(`Game '${slug}' not found`, 'NOT_FOUND');
+    }
+    return fromRow(rows[0]);
+  }
+
+  async uploadAsset(file, path) {
+    const { bucket } = this.settings;
+    const response = await fetch(`${this.settings.url}/storage/v1/object/${bucket}/${path}`, {
+      method: 'POST',
+      headers: {
+        apikey: this.settings.key,
+        Authorization: `Bearer ${this.settings.key}`,
+        'Content-Type': file.type || 'application/octet-stream',
+        'x-upsert': 'true'
+      },
+      body: file
+    });
+    if (!response.ok) {
+      throw new DataStoreError(`Asset upload failed: HTTP ${response.status}`, 'UPLOAD_FAILED');
+    }
+    return { path, url: `${this.settings.url}/storage/v1/object/public/${bucket}/${path}` };
+  }
+}
+
+/**
+ * In-memory adapter (lost on reload)
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.configs = new Map();
+    this.assets = new Map();
+  }
+
+  async saveConfig(record) {
+    this.configs.set(record.slug, clone(record));
+    return clone(record);
+  }
+
+  async loadConfig(slug) {
+    const record = this.configs.get(slug);
+    return record ? clone(record) : null;
+  }
+
+  async listConfigs() {
+    return Array.from(this.configs.values()).map(summarize);
+  }
+
+  async setPublished(slug, published) {
+    const record = this.configs.get(slug);
+    if (!record) {
+      throw new DataStoreError(`Game '${slug}' not found`, 'NOT_FOUND');
+    }
+    record.published = published;
+    record.updatedAt = new Date().toISOString();
+    return clone(record);
+  }
+
+  async uploadAsset(file, path) {
+    const url = await readAsDataUrl(file);
+    this.assets.set(path, url);
+    return { path, url };
+  }
+}
+
+/**
+ * IndexedDB adapter (persists in this browser, works offline)
+ */
+export class IndexedDBAdapter {
+  constructor(dbName = '3c-game-data') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('configs', { keyPath: 'slug' });
+          db.createObjectStore('assets', { keyPath: 'path' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(new DataStoreError(`IndexedDB unavailable: ${request.error}`, 'STORAGE_ERROR'));
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(new DataStoreError(`IndexedDB error: ${tx.error}`, 'STORAGE_ERROR'));
+    });
+  }
+
+  async saveConfig(record) {
+    await this.run('configs', 'readwrite', store => store.put(clone(record)));
+    return clone(record);
+  }
+
+  async loadConfig(slug) {
+    const record = await this.run('configs', 'readonly', store => store.get(slug));
+    return record || null;
+  }
+
+  async listConfigs() {
+    const records = await this.run('configs', 'readonly', store => store.getAll());
+    return records.map(summarize);
+  }
+
+  async setPublished(slug, published) {
+    const record = await this.loadConfig(slug);
+    if (!record) {
+      throw new DataStoreError(`Game '${slug}' not found`, 'NOT_FOUND');
+    }
+    record.published = published;
+    record.updatedAt = new Date().toISOString();
+    return this.saveConfig(record);
+  }
+
+  // Stored as data URLs so the saved config keeps working after a reload
+  async uploadAsset(file, path) {
+    const url = await readAsDataUrl(file);
+    await this.run('assets', 'readwrite', store => store.put({ path, url }));
+    return { path, url };
+  }
+}
+
+/**
+ * Game data store: validates input and delegates to the active adapter
+ */
+export class GameDataStore {
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Save (create or update) a game config
+   * @param {Object} meta - { title, slug, config | configJson, assetsUrl, published }
+   * @returns {Promise<Object>} Saved record
+   */
+  async saveConfig(meta) {
+    const config = typeof meta.configJson === 'string'
+      ? JSON.parse(meta.configJson)
+      : (meta.config || meta.configJson);
+
+    if (!meta.slug || !/^[a-z0-9-]+$/.test(meta.slug)) {
+      throw new DataStoreError(`Invalid slug '${meta.slug}'`, 'INVALID_SLUG');
+    }
+    if (!config || !config.gameType) {
+      throw new DataStoreError('Config is missing gameType', 'INVALID_CONFIG');
+    }
+
+    return this.adapter.saveConfig({
+      slug: meta.slug,
+      title: meta.title || config.title || meta.slug,
+      gameType: config.gameType,
+      theme: config.theme || null,
+      config,
+      assetsUrl: meta.assetsUrl || null,
+      published: Boolean(meta.published),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  async loadConfig(slug) {
+    return this.adapter.loadConfig(slug);
+  }
+
+  async listConfigs({ publishedOnly = false } = {}) {
+    const records = await this.adapter.listConfigs();
+    return publishedOnly ? records.filter(record => record.published) : records;
+  }
+
+  async publishConfig(slug) {
+    return this.adapter.setPublished(slug, true);
+  }
+
+  async unpublishConfig(slug) {
+    return this.adapter.setPublished(slug, false);
+  }
+
+  /**
+   * Upload an image or sound
+   * @param {Blob|File} file - File to upload
+   * @param {string} path - Target path, e.g. "cards/card1.png"
+   * @returns {Promise<Object>} { path, url }
+   */
+  async uploadAsset(file, path = `uploads/${Date.now()}-${file.name || 'asset'}`) {
+    return this.adapter.uploadAsset(file, path);
+  }
+}
+
+/**
+ * Create a data store for the named backend
+ * @param {string} backend - 'supabase' | 'indexeddb' | 'memory' (default: supabase
+ *   when configured, otherwise indexeddb, otherwise memory)
+ * @returns {GameDataStore}
+ */
+export function createDataStore(backend = defaultBackend()) {
+  switch (backend) {
+    case 'supabase':
+      return new GameDataStore(new SupabaseAdapter());
+    case 'indexeddb':
+      return new GameDataStore(new IndexedDBAdapter());
+    case 'memory':
+      return new GameDataStore(new MemoryAdapter());
+    default:
+      throw new DataStoreError(`Unknown data backend '${backend}'`, 'UNKNOWN_BACKEND');
+  }
+}
+
+function defaultBackend() {
+  if (isSupabaseConfigured()) return 'supabase';
+  return typeof indexedDB !== 'undefined' ? 'indexeddb' : 'memory';
+}
+
+// Kept for existing callers; prefer createDataStore().saveConfig(meta)
 export async function saveGameConfigToSupabase(meta) {
   // meta: { title, slug, configJson, assetsUrl, published }
-  // Implementation placeholder:
-  console.warn('saveGameConfigToSupabase called but not implemented', meta);
-  throw new Error('Supabase not configured yet.');
+  return createDataStore('supabase').saveConfig(meta);
 }
 
+function toRow(record) {
+  return {
+    slug: record.slug,
+    title: record.title,
+    game_type: record.gameType,
+    theme: record.theme,
+    config: record.config,
+    assets_url: record.assetsUrl,
+    published: record.published,
+    updated_at: record.updatedAt
+  };
+}
+
+function fromRow(row) {
+  return {
+    slug: row.slug,
+    title: row.title,
+    gameType: row.game_type,
+    theme: row.theme,
+    config: row.config,
+    assetsUrl: row.assets_url,
+    published: row.published,
+    updatedAt: row.updated_at
+  };
+}
+
+function summarize(record) {
+  const { config, ...summary } = record;
+  return summary;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new DataStoreError('Could not read file', 'UPLOAD_FAILED'));
+    reader.readAsDataURL(file);
+  });
+}
@@ -0,0 +1,252 @@
+// sw.js
+// Service worker for offline play.
+//
+// On install it precaches the app shell plus every game listed in
+// config/index.json: the config itself, its game module, its theme manifests
+// (following "extends") with their images and sounds, and the config's card
+// images, its quiz result, puzzle and prompt images, and its sounds.
+// Playlists are expanded into the games they list. UI translations from
+// locales/index.json are cached as well.
+// Anything else the page fetches from this origin is cached as it goes, so
+// games opened via ?configUrl= also work offline after the first visit.
+//
+// Code and JSON are served stale-while-revalidate: the cached copy starts the
+// game immediately and a fresh copy is fetched in the background, so a new
+// config version is picked up on the next launch. Images, sounds and fonts
+// rarely change and are served cache-first.
+//
+// Bump CACHE_VERSION when the list of core files changes.
+
+const CACHE_VERSION = 'v9';
+const CACHE_NAME = `3c-games-${CACHE_VERSION}`;
+
+const CORE_FILES = [
+  './',
+  'index.html',
+  'landing.html',
+  'landing.js',
+  'style.css',
+  'loader.js',
+  'main.js',
+  'supabase.js',
+  'storage.js',
+  'analytics.js',
+  'audio.js',
+  'remote-config.js',
+  'share.js',
+  'i18n.js',
+  'games/index.json',
+  'config/index.json',
+  'assets/themes/index.json',
+  'locales/index.json'
+];
+
+// Keep in step with AssetUtils.resolve() in main.js and ConfigManager.getSounds() in loader.js
+const CARD_ASSET_BASE = 'assets/cards/';
+const SOUND_ASSET_BASE = 'assets/sounds/';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(CORE_FILES);
+
+    const urls = await buildPrecacheList().catch((error) => {
+      console.warn('[sw] Could not build precache list:', error);
+      return [];
+    });
+    // One missing image shouldn't stop every other game from working offline
+    const results = await Promise.allSettled(urls.map(url => cache.add(url)));
+    const failed = results.filter(result => result.status === 'rejected').length;
+    if (failed > 0) {
+      console.warn(`[sw] ${failed} of ${urls.length} files could not be precached`);
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('3c-games-') && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.cache === 'no-cache' || request.cache === 'reload') {
+    // The admin editor asks for fresh configs explicitly; only fall back offline
+    event.respondWith(networkFirst(request));
+  } else if (request.mode === 'navigate') {
+    // index.html?configName=... and friends all share one cached page
+    event.respondWith(staleWhileRevalidate(event, request, { ignoreSearch: true }));
+  } else if (/\.(png|jpe?g|gif|webp|svg|ico|mp3|ogg|wav|m4a|aac|woff2?)$/i.test(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, request));
+  }
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  store(cache, request, request, response);
+  return response;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    store(cache, request, request, response);
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event, request, matchOptions = {}) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, matchOptions);
+  const refresh = fetch(request)
+    .then(response => store(cache, matchOptions.ignoreSearch ? stripSearch(request.url) : request, request, response)
+      .then(() => response));
+
+  if (cached) {
+    // Serve the cached copy now; the refresh lands in the cache for next time
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Cache a response if it is a whole file. Partial (206) answers to Range
+ * requests, as audio and video make, and errors are left out; a failed put
+ * (quota, an unsupported scheme) is logged, never thrown.
+ * @returns {Promise<void>}
+ */
+function store(cache, key, request, response) {
+  if (response.status !== 200 || request.headers.has('range')) return Promise.resolve();
+  return cache.put(key, response.clone()).catch((error) => {
+    console.warn(`[sw] Could not cache ${request.url}:`, error);
+  });
+}
+
+function stripSearch(url) {
+  const { origin, pathname } = new URL(url);
+  return origin + pathname;
+}
+
+/**
+ * Build the list of files every game in config/index.json needs
+ * @returns {Promise<Array<string>>} Same-origin URLs, relative to this worker
+ */
+async function buildPrecacheList() {
+  const { configs = [] } = await fetchJson('config/index.json');
+  const urls = new Set();
+  const themes = new Set();
+
+  const addGame = (config) => {
+    if (/^[a-z0-9-]+$/.test(config.gameType || '')) {
+      urls.add(`games/${config.gameType}.js`);
+    }
+    if (config.theme) themes.add(config.theme);
+    (config.cards || []).forEach(card => {
+      const src = resolveAsset(card && card.frontImage);
+      if (src) urls.add(src);
+    });
+    [config, ...(config.profiles || []), ...(config.prompts || [])].forEach(item => {
+      const src = resolveAsset(item && item.image);
+      if (src) urls.add(src);
+    });
+    Object.values(config.sounds || {}).forEach(file => {
+      const src = resolveAsset(file, SOUND_ASSET_BASE);
+      if (src) urls.add(src);
+    });
+  };
+
+  await Promise.all(configs.map(async ({ file }) => {
+    const configUrl = `config/${file}`;
+    urls.add(configUrl);
+    const config = await fetchJson(configUrl);
+
+    if (config.gameType !== 'playlist') {
+      addGame(config);
+      return;
+    }
+    // Playlists have no module of their own; their games are cached instead
+    if (config.theme) themes.add(config.theme);
+    await Promise.all((config.games || []).map(async (entry) => {
+      if (entry.theme) themes.add(entry.theme);
+      if (entry.config) {
+        addGame(entry.config);
+      } else if (/^[a-z0-9-]+$/.test(entry.configName || '')) {
+        const entryUrl = `config/${entry.configName}.json`;
+        urls.add(entryUrl);
+        addGame(await fetchJson(entryUrl));
+      }
+    }));
+  }));
+
+  await Promise.all([...themes].map(name => addThemeFiles(name, urls)));
+
+  // Every UI language, so switching ?lang= works offline too
+  const { locales = [] } = await fetchJson('locales/index.json').catch(() => ({}));
+  locales.forEach(({ code }) => {
+    if (/^[a-zA-Z-]+$/.test(code || '')) urls.add(`locales/${code}.json`);
+  });
+
+  return [...urls].filter(url => !CORE_FILES.includes(url));
+}
+
+// Mirrors ThemeManager.loadManifest(): paths are relative to each theme's folder
+async function addThemeFiles(name, urls, chain = []) {
+  if (!/^[A-Za-z0-9_-]+$/.test(String(name)) || chain.includes(name)) return;
+  const dir = `assets/themes/${name}/`;
+  let manifest;
+  try {
+    manifest = await fetchJson(`${dir}theme.json`);
+    urls.add(`${dir}theme.json`);
+  } catch (error) {
+    // Legacy theme without a manifest
+    manifest = { images: { background: 'bg.png', cardBack: 'card-back.png' } };
+  }
+
+  ['images', 'sounds'].forEach(group => {
+    Object.values(manifest[group] || {}).forEach(src => {
+      if (typeof src !== 'string' || !src || /^[a-z]+:/i.test(src)) return;
+      urls.add(src.startsWith('/') ? src : dir + src);
+    });
+  });
+
+  if (manifest.extends) {
+    await addThemeFiles(manifest.extends, urls, [...chain, name]);
+  }
+}
+
+function resolveAsset(src, base = CARD_ASSET_BASE) {
+  if (typeof src !== 'string' || !src || /^[a-z]+:/i.test(src)) return null;
+  return src.includes('/') ? src : base + src;
+}
+
+async function fetchJson(url) {
+  // Bypass the HTTP cache so a fresh install sees the current configs
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  return response.json();
+}